@@ -0,0 +1,114 @@
+// Stand-in for the backend's live task event stream, for local development and tests.
+//
+//   node scripts/mock-task-events.js            (listens on port 5001, or MOCK_EVENTS_PORT)
+//   REACT_APP_EVENTS_URL=http://localhost:5001 npm start
+//
+// Browsers connect to GET /api/tasks/events. Broadcast an event to every connected client with:
+//   curl -X POST localhost:5001/events -H 'Content-Type: application/json' \
+//     -d '{"type":"task:updated","task":{"_id":"123","status":"Done"}}'
+//
+// src/services/taskEvents.test.js starts one in-process with createMockEventServer().
+const http = require('http');
+
+const EVENT_TYPES = ['task:created', 'task:updated', 'task:deleted'];
+const HEARTBEAT_MS = 15000;
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+const readJson = req =>
+  new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+
+// acceptToken decides whether a stream may open; rejected ones get a 401 like an expired session would.
+// Returns the (not yet listening) server plus helpers for pushing events and dropping connections.
+const createMockEventServer = ({ acceptToken = () => true } = {}) => {
+  const clients = new Set();
+
+  // data is written as it is, so tests can send payloads that aren't valid JSON
+  const sendRaw = (type, data) => {
+    clients.forEach(res => res.write(`event: ${type}\ndata: ${data}\n\n`));
+  };
+
+  const broadcast = ({ type, ...data }) => sendRaw(type, JSON.stringify(data));
+
+  // Ends every open stream, as a server restart or a dropped connection would
+  const disconnectAll = () => {
+    clients.forEach(res => res.end());
+    clients.clear();
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, corsHeaders);
+      return res.end();
+    }
+
+    if (req.method === 'GET' && pathname === '/api/tasks/events') {
+      if (!acceptToken(searchParams.get('token'))) {
+        res.writeHead(401, corsHeaders);
+        return res.end();
+      }
+
+      res.writeHead(200, {
+        ...corsHeaders,
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    if (req.method === 'POST' && pathname === '/events') {
+      try {
+        const event = await readJson(req);
+        if (!EVENT_TYPES.includes(event.type)) {
+          res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify({ success: false, message: `type must be one of ${EVENT_TYPES.join(', ')}` }));
+        }
+        broadcast(event);
+        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ success: true, clients: clients.size }));
+      } catch (err) {
+        res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ success: false, message: 'Invalid JSON' }));
+      }
+    }
+
+    res.writeHead(404, corsHeaders);
+    res.end();
+  });
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => clients.forEach(res => res.write(': ping\n\n')), HEARTBEAT_MS);
+  heartbeat.unref();
+  server.on('close', () => clearInterval(heartbeat));
+
+  return { server, broadcast, sendRaw, disconnectAll, clientCount: () => clients.size };
+};
+
+if (require.main === module) {
+  const PORT = process.env.MOCK_EVENTS_PORT || 5001;
+  createMockEventServer().server.listen(PORT, () => {
+    console.log(`Mock task event server running on port ${PORT}`);
+  });
+}
+
+module.exports = { createMockEventServer, EVENT_TYPES };
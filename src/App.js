@@ -5,37 +5,88 @@ import EmployeeDashboard from './components/EmployeeDashboard';
 import AdminDashboard from './components/AdminDashboard';
 import ProtectedRoute from './components/ProtectedRoute';
 import { AuthProvider } from './context/AuthContext';
+import { TimerProvider } from './context/TimerContext';
+import { NotificationsProvider } from './context/NotificationsContext';
 import './App.css';
 import Register from './components/Register';
+import DepartmentManagement from './components/DepartmentManagement';
+import UserManagement from './components/UserManagement';
+import EmployeeDetail from './components/EmployeeDetail';
+import AuditLog from './components/AuditLog';
+import Timesheet from './components/Timesheet';
 
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <div className="App">
-          <Routes>
-            <Route path="/login" element={<Login />} />
-            <Route path="/register" element={<Register />} />
-            <Route 
-              path="/employee-dashboard" 
-              element={
-                <ProtectedRoute role="employee">
-                  <EmployeeDashboard />
-                </ProtectedRoute>
-              } 
-            />
-            <Route 
-              path="/admin-dashboard" 
-              element={
-                <ProtectedRoute role="admin">
-                  <AdminDashboard />
-                </ProtectedRoute>
-              } 
-            />
-            <Route path="/" element={<Navigate to="/login" />} />
-          </Routes>
-        </div>
-      </Router>
+      <TimerProvider>
+        <NotificationsProvider>
+          <Router>
+            <div className="App">
+              <Routes>
+                <Route path="/login" element={<Login />} />
+                <Route path="/register" element={<Register />} />
+                <Route 
+                  path="/employee-dashboard" 
+                  element={
+                    <ProtectedRoute role="employee">
+                      <EmployeeDashboard />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/timesheet" 
+                  element={
+                    <ProtectedRoute role="employee">
+                      <Timesheet />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin-dashboard" 
+                  element={
+                    <ProtectedRoute role="admin">
+                      <AdminDashboard />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/departments" 
+                  element={
+                    <ProtectedRoute role="admin">
+                      <DepartmentManagement />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/users" 
+                  element={
+                    <ProtectedRoute role="admin">
+                      <UserManagement />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/employees/:id" 
+                  element={
+                    <ProtectedRoute role="admin">
+                      <EmployeeDetail />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/audit-log" 
+                  element={
+                    <ProtectedRoute role="admin">
+                      <AuditLog />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route path="/" element={<Navigate to="/login" />} />
+              </Routes>
+            </div>
+          </Router>
+        </NotificationsProvider>
+      </TimerProvider>
     </AuthProvider>
   );
 }
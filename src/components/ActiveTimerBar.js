@@ -0,0 +1,60 @@
+import { useState, useContext } from "react"
+import { TimerContext } from "../context/TimerContext"
+import ElapsedTime from "./ElapsedTime"
+
+// Shows the running timer even when its task is filtered out or on another page of the list
+const ActiveTimerBar = ({ onTimeLogged }) => {
+  const { activeTimer, stopping, stopTimer, discardTimer } = useContext(TimerContext)
+  const [error, setError] = useState("")
+  const [confirmingDiscard, setConfirmingDiscard] = useState(false)
+
+  if (!activeTimer) return null
+
+  const handleStop = async () => {
+    setError("")
+    try {
+      const result = await stopTimer()
+      if (result && onTimeLogged) onTimeLogged(result.taskId, result.minutes)
+    } catch (err) {
+      setError(`Failed to log time: ${err.message}`)
+    }
+  }
+
+  const handleDiscard = () => {
+    discardTimer()
+    setConfirmingDiscard(false)
+    setError("")
+  }
+
+  return (
+    <div className="active-timer-bar">
+      <span>
+        Timer running on <strong>{activeTimer.title}</strong>
+      </span>
+      <ElapsedTime startedAt={activeTimer.startedAt} />
+      <div className="task-actions">
+        <button onClick={handleStop} className="delete-button" disabled={stopping}>
+          {stopping ? "Saving..." : "Stop"}
+        </button>
+        {confirmingDiscard ? (
+          <>
+            <span className="confirm-text">Discard without logging?</span>
+            <button onClick={handleDiscard} className="delete-button">
+              Confirm
+            </button>
+            <button onClick={() => setConfirmingDiscard(false)} className="cancel-button">
+              Cancel
+            </button>
+          </>
+        ) : (
+          <button onClick={() => setConfirmingDiscard(true)} className="cancel-button" disabled={stopping}>
+            Discard
+          </button>
+        )}
+      </div>
+      {error && <div className="timer-error">{error}</div>}
+    </div>
+  )
+}
+
+export default ActiveTimerBar
@@ -1,43 +1,67 @@
-import { useState, useEffect, useContext } from "react"
+import { useState, useEffect, useContext, useMemo, useRef, useDeferredValue } from "react"
+import { useSearchParams } from "react-router-dom"
 import { AuthContext } from "../context/AuthContext"
-import axios from "axios"
+import { tasksApi, departmentsApi, exportApi } from "../services/api"
 import TaskList from "./TaskList"
+import TaskBoard from "./TaskBoard"
+import ViewToggle from "./ViewToggle"
+import TaskFilterBar from "./TaskFilterBar"
+import AnalyticsPanel from "./AnalyticsPanel"
+import TimesheetApprovals from "./TimesheetApprovals"
+import LiveStatus from "./LiveStatus"
+import useTaskEvents from "../hooks/useTaskEvents"
+import {
+  applyTaskFilters,
+  applyTaskEvent,
+  stampCompletion,
+  getTaskOwnerId,
+  filtersFromSearchParams,
+  filtersToSearchParams,
+} from "../utils/tasks"
+import { fetchEmployees, findTaskEmployee } from "../utils/employees"
+import { nextOccurrenceAfterUpdate } from "../utils/recurrence"
+import { withLoggedTime } from "../utils/timeTracking"
+import { uploadAttachments } from "../utils/attachments"
+import { blockedTransitionError } from "../utils/dependencies"
 import Navbar from "./Navbar"
 import DepartmentFilter from "./DepartmentFilter"
 import LiveDateTime from "./LiveDateTime"
 
 import DateRangePicker from "./DateRangePicker"
 import ExportModal from "./ExportModal"
+import AssignTaskModal from "./AssignTaskModal"
 import { saveAs } from "file-saver"
 
 const AdminDashboard = () => {
   const { user } = useContext(AuthContext)
   const [tasks, setTasks] = useState([])
   const [departments, setDepartments] = useState([])
+  const [employees, setEmployees] = useState([])
   const [selectedDepartment, setSelectedDepartment] = useState("all")
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState("")
-  const [filter, setFilter] = useState("all")
   const [searchTerm, setSearchTerm] = useState("")
   const [dateRange, setDateRange] = useState(null)
   const [showExportModal, setShowExportModal] = useState(false)
+  const [showAssignModal, setShowAssignModal] = useState(false)
+  const [view, setView] = useState("list")
+  const [showAnalytics, setShowAnalytics] = useState(false)
+  const [showTimesheets, setShowTimesheets] = useState(false)
+  const [searchParams, setSearchParams] = useSearchParams()
+  const filters = useMemo(() => filtersFromSearchParams(searchParams), [searchParams])
+  // Typing stays responsive while a large list is re-filtered in the background
+  const deferredSearchTerm = useDeferredValue(searchTerm)
 
   useEffect(() => {
     const fetchTasksAndDepartments = async () => {
       try {
-        const [tasksResponse, departmentsResponse] = await Promise.all([
-          axios.get("https://employeetaskbackend.onrender.com/api/tasks", {
-            headers: { Authorization: `Bearer ${user.token}` },
-          }),
-          axios.get("https://employeetaskbackend.onrender.com/api/departments", {
-            headers: { Authorization: `Bearer ${user.token}` },
-          }),
-        ])
+        const [tasksData, departmentsData] = await Promise.all([tasksApi.getAll(), departmentsApi.getAll()])
 
         // Sort tasks by createdAt in descending order (newest first)
-        const sortedTasks = tasksResponse.data.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        const sortedTasks = tasksData.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
         setTasks(sortedTasks);
-        setDepartments(departmentsResponse.data)
+        setDepartments(departmentsData)
+        setEmployees(await fetchEmployees(sortedTasks))
         setLoading(false)
       } catch (err) {
         setError("Failed to fetch data")
@@ -48,13 +72,60 @@ const AdminDashboard = () => {
     fetchTasksAndDepartments()
   }, [user])
 
-  const filteredTasks = () => {
+  // Tasks in this list carry a populated employee, but POST, PUT and live events have the raw task.
+  // The details come from the employee list, or from GET /tasks/:id for an assignee missing from it.
+  const withEmployee = async (task, knownEmployees = employees) => {
+    let employee = findTaskEmployee(task, knownEmployees)
+    if (!employee) {
+      try {
+        employee = findTaskEmployee(await tasksApi.get(task._id), [])
+      } catch (err) {
+        employee = null
+      }
+    }
+    return { ...task, employee }
+  }
+
+  // Events usually carry only employeeId. One whose assignee can't be found even through
+  // GET /tasks/:id is dropped, since every task in this list needs its employee.
+  // An update that doesn't name the assignee keeps the employee the list already has.
+  const applyLiveEvent = async (event) => {
+    const existing = event.task && tasksRef.current.find((task) => task._id === event.task._id)
+    if (event.task && (!existing || getTaskOwnerId(event.task))) {
+      const task = await withEmployee(event.task, existing?.employee ? [existing.employee, ...employees] : employees)
+      if (!task.employee) return
+      event = { ...event, task }
+    }
+    setTasks((prevTasks) => applyTaskEvent(prevTasks, event))
+  }
+
+  // Filling in an employee takes a request, so events are applied one after another in arrival
+  // order; otherwise a delete could land before the update it followed and the task would come back
+  const tasksRef = useRef(tasks)
+  const liveEvents = useRef(Promise.resolve())
+  useEffect(() => {
+    tasksRef.current = tasks
+  })
+
+  const liveStatus = useTaskEvents((event) => {
+    liveEvents.current = liveEvents.current
+      .then(() => applyLiveEvent(event))
+      .catch((err) => {
+        console.error("Failed to apply task event:", err)
+      })
+  })
+
+  const handleFiltersChange = (newFilters) => {
+    setSearchParams(filtersToSearchParams(newFilters, searchParams), { replace: true })
+  }
+
+  const filteredTasks = useMemo(() => {
     // First filter by department
     let filtered =
-      selectedDepartment === "all" ? tasks : tasks.filter((task) => task.employee.department === selectedDepartment)
+      selectedDepartment === "all" ? tasks : tasks.filter((task) => task.employee?.department === selectedDepartment)
 
     // Then filter by status/priority
-    
+    filtered = applyTaskFilters(filtered, filters)
 
     // Filter by date range if present
     if (dateRange) {
@@ -84,47 +155,156 @@ const AdminDashboard = () => {
     }
 
     // Finally, filter by search term if present
-    if (searchTerm.trim()) {
-      const term = searchTerm.toLowerCase()
+    if (deferredSearchTerm.trim()) {
+      const term = deferredSearchTerm.toLowerCase()
       filtered = filtered.filter(
         (task) =>
           task.title.toLowerCase().includes(term) ||
           (task.description && task.description.toLowerCase().includes(term)) ||
-          task.employee.name.toLowerCase().includes(term),
+          task.employee?.name?.toLowerCase().includes(term),
       )
     }
 
     return filtered
+  }, [tasks, selectedDepartment, filters, dateRange, deferredSearchTerm])
+
+  // Changes with any of the filters above, so the list starts from its first page again
+  const listFilterKey = [
+    searchParams,
+    selectedDepartment,
+    dateRange?.startDate,
+    dateRange?.endDate,
+    deferredSearchTerm,
+  ].join("|")
+
+  // The task is listed as soon as it is created; its files upload afterwards and its
+  // attachment count grows as each one lands
+  const assignTask = async (taskData, files = []) => {
+    let createdTask
+    try {
+      createdTask = await withEmployee(await tasksApi.create(stampCompletion({}, taskData)))
+    } catch (err) {
+      return { success: false, message: err.message || "Failed to assign task" }
+    }
+    setTasks((prevTasks) => [createdTask, ...prevTasks])
+
+    if (files.length > 0) {
+      uploadAttachments(createdTask._id, files, () => {
+        setTasks((prevTasks) =>
+          prevTasks.map((task) =>
+            task._id === createdTask._id ? { ...task, attachmentCount: (task.attachmentCount || 0) + 1 } : task,
+          ),
+        )
+      }).then((failed) => {
+        if (failed.length > 0) {
+          setError(`"${taskData.title}" was assigned, but some files didn't upload: ${failed.join(", ")}`)
+        }
+      })
+    }
+    return { success: true }
+  }
+
+  const updateTask = async (id, taskData) => {
+    const previous = tasks.find((task) => task._id === id)
+    const blockedError = blockedTransitionError(previous, taskData, tasks)
+    if (blockedError) return { success: false, message: blockedError }
+
+    try {
+      // The saved task names the assignee, so a reassignment picks up the new employee's details
+      const savedTask = await withEmployee(
+        await tasksApi.update(id, stampCompletion(previous, taskData)),
+        previous.employee ? [previous.employee, ...employees] : employees,
+      )
+      setTasks((prevTasks) => prevTasks.map((task) => (task._id === id ? savedTask : task)))
+      createNextOccurrence({ ...previous, employee: savedTask.employee }, taskData)
+      return { success: true }
+    } catch (err) {
+      return { success: false, message: err.message || "Failed to update task" }
+    }
+  }
+
+  // Time entries are saved by TaskTimeLog; this keeps the task totals current
+  const logTime = (taskId, minutes) => {
+    setTasks((prevTasks) => withLoggedTime(prevTasks, taskId, minutes))
+  }
+
+  // Completing a recurring task schedules its next instance for the same employee
+  const createNextOccurrence = async (previousTask, changes) => {
+    const nextTask = nextOccurrenceAfterUpdate(previousTask, changes, tasks)
+    if (!nextTask) return
+
+    try {
+      const createdTask = await tasksApi.create({ ...nextTask, employeeId: getTaskOwnerId(previousTask) })
+      setTasks((prevTasks) => [{ ...createdTask, employee: previousTask.employee }, ...prevTasks])
+    } catch (err) {
+      setError(`Failed to create the next "${previousTask.title}": ${err.message}`)
+    }
+  }
+
+  const deleteTask = async (id) => {
+    try {
+      await tasksApi.remove(id)
+      setTasks((prevTasks) => prevTasks.filter((task) => task._id !== id))
+      return { success: true }
+    } catch (err) {
+      setError(`Failed to delete task: ${err.message}`)
+      return { success: false, message: err.message || "Failed to delete task" }
+    }
+  }
+
+  // Used by the board: show the new status right away and put the old one back if the save fails
+  const moveTask = async (id, status) => {
+    const previousTask = tasks.find((task) => task._id === id)
+    const blockedError = blockedTransitionError(previousTask, { status }, tasks)
+    if (blockedError) {
+      setError(blockedError)
+      return
+    }
+
+    const changes = stampCompletion(previousTask, { status })
+    const { status: previousStatus, completedAt: previousCompletedAt } = previousTask
+    setTasks((prevTasks) => prevTasks.map((task) => (task._id === id ? { ...task, ...changes } : task)))
+
+    try {
+      await tasksApi.update(id, changes)
+      createNextOccurrence(previousTask, changes)
+    } catch (err) {
+      setTasks((prevTasks) =>
+        prevTasks.map((task) =>
+          task._id === id ? { ...task, status: previousStatus, completedAt: previousCompletedAt } : task,
+        ),
+      )
+      setError(`Failed to move task: ${err.message}`)
+    }
   }
 
   const handleExport = async (exportOptions) => {
     try {
       // Build query parameters
-      const params = new URLSearchParams()
+      const params = {}
 
       if (exportOptions.department !== "all") {
-        params.append("department", exportOptions.department)
+        params.department = exportOptions.department
+      }
+
+      if (exportOptions.includeTime) {
+        params.includeTime = true
+      }
+
+      if (exportOptions.includeTimesheets) {
+        params.includeTimesheets = true
       }
 
       if (exportOptions.dateRange) {
         if (exportOptions.dateRange.startDate) {
-          params.append("startDate", exportOptions.dateRange.startDate)
+          params.startDate = exportOptions.dateRange.startDate
         }
         if (exportOptions.dateRange.endDate) {
-          params.append("endDate", exportOptions.dateRange.endDate)
+          params.endDate = exportOptions.dateRange.endDate
         }
       }
 
-      // Determine endpoint based on export type
-      const endpoint =
-        exportOptions.type === "excel"
-          ? "https://employeetaskbackend.onrender.com/api/tasks/export"
-          : "https://employeetaskbackend.onrender.com/api/tasks/export-pdf"
-
-      const response = await axios.get(`${endpoint}?${params.toString()}`, {
-        headers: { Authorization: `Bearer ${user.token}` },
-        responseType: "blob",
-      })
+      const fileData = await exportApi.tasks(exportOptions.type, params)
 
       // Generate filename
       const department = exportOptions.department === "all" ? "all-departments" : exportOptions.department
@@ -141,7 +321,7 @@ const AdminDashboard = () => {
           ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
           : "application/pdf"
 
-      const blob = new Blob([response.data], { type: contentType })
+      const blob = new Blob([fileData], { type: contentType })
       saveAs(blob, filename)
     } catch (err) {
       setError(`Failed to export tasks: ${err.message}`)
@@ -156,7 +336,9 @@ const AdminDashboard = () => {
       <div className="dashboard-header">
         <div className="dashboard-title">
           <h2>Admin Dashboard</h2>
-          <div className="welcome-message">Welcome, {user.name}!</div>
+          <div className="welcome-message">
+            Welcome, {user.name}! <LiveStatus status={liveStatus} />
+          </div>
         </div>
         <LiveDateTime />
       </div>
@@ -187,33 +369,89 @@ const AdminDashboard = () => {
         </div>
 
         <div className="controls-right">
+          <button
+            onClick={() => setShowAnalytics(!showAnalytics)}
+            className={`filter-button ${showAnalytics ? "active" : ""}`}
+          >
+            Analytics
+          </button>
+          <button
+            onClick={() => setShowTimesheets(!showTimesheets)}
+            className={`filter-button ${showTimesheets ? "active" : ""}`}
+          >
+            Timesheets
+          </button>
+          <button onClick={() => setShowAssignModal(true)} className="export-button">
+            Assign Task
+          </button>
           <button onClick={() => setShowExportModal(true)} className="export-button">
             Export Tasks
           </button>
         </div>
       </div>
 
-      
+      {showAnalytics && <AnalyticsPanel tasks={tasks} departments={departments} dateRange={dateRange} />}
+
+      {showTimesheets && <TimesheetApprovals />}
+
+      <TaskFilterBar filters={filters} onChange={handleFiltersChange} />
 
       <div className="dashboard-content">
         <div className="task-section full-width">
-          <h3>
-            {selectedDepartment === "all" ? "All Tasks" : `Tasks for ${selectedDepartment} Department`}
-            {dateRange && (
-              <span className="date-filter-info">
-                {dateRange.startDate && dateRange.endDate
-                  ? ` (${new Date(dateRange.startDate).toLocaleDateString()} - ${new Date(dateRange.endDate).toLocaleDateString()})`
-                  : dateRange.startDate
-                    ? ` (From ${new Date(dateRange.startDate).toLocaleDateString()})`
-                    : ` (Until ${new Date(dateRange.endDate).toLocaleDateString()})`}
-              </span>
-            )}{" "}
-            ({filteredTasks().length})
-          </h3>
-          <TaskList tasks={filteredTasks()} isEmployee={false} showEmployeeInfo={true} />
+          <div className="task-section-header">
+            <h3>
+              {selectedDepartment === "all" ? "All Tasks" : `Tasks for ${selectedDepartment} Department`}
+              {dateRange && (
+                <span className="date-filter-info">
+                  {dateRange.startDate && dateRange.endDate
+                    ? ` (${new Date(dateRange.startDate).toLocaleDateString()} - ${new Date(dateRange.endDate).toLocaleDateString()})`
+                    : dateRange.startDate
+                      ? ` (From ${new Date(dateRange.startDate).toLocaleDateString()})`
+                      : ` (Until ${new Date(dateRange.endDate).toLocaleDateString()})`}
+                </span>
+              )}{" "}
+              ({filteredTasks.length})
+            </h3>
+            <ViewToggle view={view} onChange={setView} />
+          </div>
+          {view === "board" ? (
+            <TaskBoard
+              tasks={filteredTasks}
+              filterKey={listFilterKey}
+              allTasks={tasks}
+              onStatusChange={moveTask}
+              showEmployeeInfo={true}
+            />
+          ) : (
+            <TaskList
+              tasks={filteredTasks}
+              allTasks={tasks}
+              filterKey={listFilterKey}
+              onUpdate={updateTask}
+              onDelete={deleteTask}
+              onTimeLogged={logTime}
+              employees={employees}
+              showEmployeeInfo={true}
+            />
+          )}
         </div>
       </div>
 
+      {showAssignModal && (
+        <AssignTaskModal
+          isOpen={showAssignModal}
+          onClose={() => setShowAssignModal(false)}
+          onAssign={assignTask}
+          allTasks={tasks}
+          employees={
+            selectedDepartment === "all"
+              ? employees
+              : employees.filter((emp) => emp.department === selectedDepartment)
+          }
+          selectedDepartment={selectedDepartment}
+        />
+      )}
+
       {showExportModal && (
         <ExportModal
           isOpen={showExportModal}
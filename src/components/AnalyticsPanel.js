@@ -0,0 +1,161 @@
+import { useMemo } from "react"
+import StackedBarChart from "./charts/StackedBarChart"
+import BarChart from "./charts/BarChart"
+import LineChart from "./charts/LineChart"
+import { TASK_STATUSES, TASK_PRIORITIES, STATUS_COLORS, PRIORITY_COLORS, isOverdue } from "../utils/tasks"
+import {
+  completionRate,
+  countByPriority,
+  departmentBreakdown,
+  resolveTrendRange,
+  weeklyActivity,
+  formatWeekLabel,
+  getCompletedAt,
+  timeBreakdown,
+} from "../utils/analytics"
+import { formatDuration } from "../utils/timeTracking"
+
+// Logged vs estimated time for one group, flagged when it runs over
+const TimeTable = ({ title, rows }) => (
+  <table className="analytics-table">
+    <thead>
+      <tr>
+        <th>{title}</th>
+        <th>Logged</th>
+        <th>Estimated</th>
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map((row) => (
+        <tr key={row.key}>
+          <td>{row.label}</td>
+          <td className={row.estimated > 0 && row.logged > row.estimated ? "overdue-count" : ""}>
+            {formatDuration(row.logged)}
+          </td>
+          <td>{row.estimated > 0 ? formatDuration(row.estimated) : "—"}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+)
+
+const STATUS_SERIES = TASK_STATUSES.map((status) => ({ key: status, label: status, color: STATUS_COLORS[status] }))
+
+const AnalyticsPanel = ({ tasks, departments, dateRange }) => {
+  const departmentRows = useMemo(() => departmentBreakdown(tasks, departments), [tasks, departments])
+
+  const priorityData = useMemo(() => {
+    const counts = countByPriority(tasks)
+    return TASK_PRIORITIES.map((priority) => ({ label: priority, value: counts[priority], color: PRIORITY_COLORS[priority] }))
+  }, [tasks])
+
+  const weeks = useMemo(() => {
+    const { start, end } = resolveTrendRange(dateRange)
+    return weeklyActivity(tasks, start, end)
+  }, [tasks, dateRange])
+
+  const departmentTime = useMemo(() => timeBreakdown(tasks, "department"), [tasks])
+  const employeeTime = useMemo(() => timeBreakdown(tasks, "employee"), [tasks])
+
+  const overdueCount = tasks.filter(isOverdue).length
+  const hasCompletionDates = tasks.some((task) => getCompletedAt(task))
+
+  return (
+    <div className="analytics-panel">
+      <div className="task-summary">
+        <div className="summary-card">
+          <div className="summary-title">Total Tasks</div>
+          <div className="summary-count">{tasks.length}</div>
+        </div>
+        <div className="summary-card">
+          <div className="summary-title">Completion Rate</div>
+          <div className="summary-count done-count">{completionRate(tasks)}%</div>
+        </div>
+        <div className="summary-card">
+          <div className="summary-title">Overdue</div>
+          <div className="summary-count overdue-count">{overdueCount}</div>
+        </div>
+      </div>
+
+      <div className="analytics-grid">
+        <div className="analytics-card">
+          <h4>Tasks by Status per Department</h4>
+          <StackedBarChart
+            title="Tasks by status per department"
+            data={departmentRows.map((row) => ({ label: row.department, values: row.byStatus }))}
+            series={STATUS_SERIES}
+          />
+        </div>
+
+        <div className="analytics-card">
+          <h4>Priority Distribution</h4>
+          <BarChart title="Tasks by priority" data={priorityData} />
+        </div>
+
+        <div className="analytics-card">
+          <h4>Created vs Completed per Week</h4>
+          <LineChart
+            title="Tasks created and completed per week"
+            labels={weeks.map((week) => formatWeekLabel(week.weekStart))}
+            series={[
+              { key: "created", label: "Created", color: STATUS_COLORS["To Do"], values: weeks.map((w) => w.created) },
+              { key: "completed", label: "Completed", color: STATUS_COLORS.Done, values: weeks.map((w) => w.completed) },
+            ]}
+          />
+          {!hasCompletionDates && (
+            <div className="chart-note">No completion dates yet. Tasks marked Done from now on are counted.</div>
+          )}
+        </div>
+
+        <div className="analytics-card">
+          <h4>Department Overview</h4>
+          <table className="analytics-table">
+            <thead>
+              <tr>
+                <th>Department</th>
+                <th>Tasks</th>
+                <th>Completion</th>
+                <th>Overdue</th>
+              </tr>
+            </thead>
+            <tbody>
+              {departmentRows.map((row) => (
+                <tr key={row.department}>
+                  <td>{row.department}</td>
+                  <td>{row.total}</td>
+                  <td>
+                    <div className="completion-bar">
+                      <div className="completion-bar-fill" style={{ width: `${row.completionRate}%` }} />
+                    </div>
+                    {row.completionRate}%
+                  </td>
+                  <td className={row.overdue > 0 ? "overdue-count" : ""}>{row.overdue}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="analytics-card">
+          <h4>Time by Department</h4>
+          {departmentTime.length === 0 ? (
+            <div className="chart-note">No time has been logged yet.</div>
+          ) : (
+            <TimeTable title="Department" rows={departmentTime} />
+          )}
+        </div>
+
+        <div className="analytics-card">
+          <h4>Time by Employee</h4>
+          {employeeTime.length === 0 ? (
+            <div className="chart-note">No time has been logged yet.</div>
+          ) : (
+            <TimeTable title="Employee" rows={employeeTime} />
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AnalyticsPanel
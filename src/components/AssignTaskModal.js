@@ -0,0 +1,39 @@
+import TaskForm from "./TaskForm"
+
+const AssignTaskModal = ({ isOpen, onClose, onAssign, employees, selectedDepartment, allTasks }) => {
+  if (!isOpen) return null
+
+  const handleSubmit = async (taskData, files) => {
+    const result = await onAssign(taskData, files)
+    if (result.success) {
+      onClose()
+    }
+    return result
+  }
+
+  return (
+    <div className="modal-overlay">
+      <div className="export-modal assign-task-modal">
+        <div className="modal-header">
+          <h3>Assign Task</h3>
+          <button className="close-button" onClick={onClose}>
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {selectedDepartment !== "all" && (
+            <div className="date-filter-info">Showing employees in the {selectedDepartment} department</div>
+          )}
+          {employees.length === 0 ? (
+            <div className="no-tasks">No employees found</div>
+          ) : (
+            <TaskForm onSubmit={handleSubmit} employees={employees} allTasks={allTasks} />
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AssignTaskModal
@@ -0,0 +1,57 @@
+import { useState, useRef } from "react"
+import { ATTACHMENT_ACCEPT, MAX_ATTACHMENTS_PER_TASK, formatFileSize, validateAttachment } from "../utils/attachments"
+
+// File chooser for a task that doesn't exist yet; the files are uploaded once it has been created
+const AttachmentPicker = ({ files, onChange }) => {
+  const [error, setError] = useState("")
+  const fileInputRef = useRef(null)
+
+  const addFiles = (e) => {
+    const chosen = Array.from(e.target.files)
+    e.target.value = ""
+
+    const validationError =
+      files.length + chosen.length > MAX_ATTACHMENTS_PER_TASK
+        ? `A task can have at most ${MAX_ATTACHMENTS_PER_TASK} attachments`
+        : chosen.map(validateAttachment).find(Boolean)
+    setError(validationError || "")
+    if (!validationError) onChange([...files, ...chosen])
+  }
+
+  return (
+    <div className="attachment-picker">
+      {error && <div className="error-message">{error}</div>}
+      {files.length > 0 && (
+        <ul className="attachment-list">
+          {files.map((file, index) => (
+            <li key={`${file.name}-${index}`} className="attachment">
+              <span className="attachment-name">{file.name}</span>
+              <span className="time-entry-meta">{formatFileSize(file.size)}</span>
+              <button
+                type="button"
+                onClick={() => onChange(files.filter((_, i) => i !== index))}
+                className="link-button"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={ATTACHMENT_ACCEPT}
+        multiple
+        onChange={addFiles}
+        className="visually-hidden-input"
+        aria-label="Choose files to attach"
+      />
+      <button type="button" onClick={() => fileInputRef.current.click()} className="edit-button">
+        Attach files
+      </button>
+    </div>
+  )
+}
+
+export default AttachmentPicker
@@ -0,0 +1,57 @@
+import { useState, useEffect } from "react"
+import { attachmentsApi } from "../services/api"
+import { isImage } from "../utils/attachments"
+
+// Modal showing an image or PDF attachment, loaded through the API so the auth header is sent
+const AttachmentPreview = ({ taskId, attachment, onClose }) => {
+  const [url, setUrl] = useState(null)
+  const [error, setError] = useState("")
+
+  useEffect(() => {
+    let objectUrl = null
+    let cancelled = false
+
+    const fetchFile = async () => {
+      try {
+        const blob = await attachmentsApi.download(taskId, attachment._id)
+        if (cancelled) return
+        objectUrl = URL.createObjectURL(new Blob([blob], { type: attachment.mimeType }))
+        setUrl(objectUrl)
+      } catch (err) {
+        if (!cancelled) setError(`Failed to load ${attachment.filename}: ${err.message}`)
+      }
+    }
+
+    fetchFile()
+    return () => {
+      cancelled = true
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [taskId, attachment])
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="export-modal attachment-preview" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{attachment.filename}</h3>
+          <button type="button" className="close-button" onClick={onClose}>
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {error && <div className="error-message">{error}</div>}
+          {!url && !error && <div className="comments-empty">Loading preview...</div>}
+          {url &&
+            (isImage(attachment.mimeType) ? (
+              <img src={url} alt={attachment.filename} />
+            ) : (
+              <iframe src={url} title={attachment.filename} />
+            ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AttachmentPreview
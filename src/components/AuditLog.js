@@ -0,0 +1,197 @@
+import { useState, useEffect } from "react"
+import { Link } from "react-router-dom"
+import { tasksApi, departmentsApi, historyApi } from "../services/api"
+import { fetchEmployees } from "../utils/employees"
+import { describeHistoryEntry } from "../utils/history"
+import Navbar from "./Navbar"
+import DepartmentFilter from "./DepartmentFilter"
+import DateRangePicker from "./DateRangePicker"
+
+// Entries requested at first and by each "Load more"
+const PAGE_SIZE = 50
+
+const formatTimestamp = (dateString) => new Date(dateString).toLocaleString()
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([])
+  // Names the blockers in dependency changes
+  const [tasks, setTasks] = useState([])
+  const [employees, setEmployees] = useState([])
+  const [departments, setDepartments] = useState([])
+  const [selectedEmployee, setSelectedEmployee] = useState("all")
+  const [selectedDepartment, setSelectedDepartment] = useState("all")
+  const [dateRange, setDateRange] = useState(null)
+  const [page, setPage] = useState(1)
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState("")
+
+  useEffect(() => {
+    const fetchFilterOptions = async () => {
+      try {
+        const [tasksData, departmentsData] = await Promise.all([tasksApi.getAll(), departmentsApi.getAll()])
+        setDepartments(departmentsData)
+        setTasks(tasksData)
+        setEmployees(await fetchEmployees(tasksData))
+      } catch (err) {
+        setError(`Failed to load filters: ${err.message}`)
+      }
+    }
+
+    fetchFilterOptions()
+  }, [])
+
+  // Filtering and paging happen on the server. Page 1 replaces the list, later pages extend it.
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchEntries = async () => {
+      const params = { page, limit: PAGE_SIZE }
+      if (selectedEmployee !== "all") params.employeeId = selectedEmployee
+      if (selectedDepartment !== "all") params.department = selectedDepartment
+      if (dateRange?.startDate) params.startDate = dateRange.startDate
+      if (dateRange?.endDate) params.endDate = dateRange.endDate
+
+      setLoading(true)
+      try {
+        const data = await historyApi.getAuditLog(params)
+        if (cancelled) return
+        // Changes made since page 1 shift later pages, so entries already shown may come back
+        setEntries((prev) => {
+          if (page === 1) return data.entries
+          const shownIds = new Set(prev.map((entry) => entry._id))
+          return [...prev, ...data.entries.filter((entry) => !shownIds.has(entry._id))]
+        })
+        setTotal(data.total)
+        setError("")
+      } catch (err) {
+        if (cancelled) return
+        setError(`Failed to fetch audit log: ${err.message}`)
+      }
+      setLoading(false)
+    }
+
+    fetchEntries()
+    return () => {
+      cancelled = true
+    }
+  }, [selectedEmployee, selectedDepartment, dateRange, page])
+
+  // Any filter change starts again from the newest entries
+  const changeFilter = (setter) => (value) => {
+    setter(value)
+    setPage(1)
+  }
+
+  const employeeOptions =
+    selectedDepartment === "all" ? employees : employees.filter((emp) => emp.department === selectedDepartment)
+
+  const handleDepartmentChange = (department) => {
+    setSelectedDepartment(department)
+    setPage(1)
+    // Drop an employee who isn't in the newly chosen department
+    const employee = employees.find((emp) => emp._id === selectedEmployee)
+    if (employee && department !== "all" && employee.department !== department) {
+      setSelectedEmployee("all")
+    }
+  }
+
+  return (
+    <div className="dashboard-container">
+      <Navbar />
+      <div className="dashboard-header">
+        <div className="dashboard-title">
+          <h2>Audit Log</h2>
+          <div className="welcome-message">Every change made to tasks, newest first</div>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="dashboard-controls">
+        <div className="controls-left">
+          <DepartmentFilter
+            departments={departments}
+            selectedDepartment={selectedDepartment}
+            onSelectDepartment={handleDepartmentChange}
+          />
+          <div className="department-filter">
+            <label htmlFor="audit-employee-select">Employee:</label>
+            <select
+              id="audit-employee-select"
+              value={selectedEmployee}
+              onChange={(e) => changeFilter(setSelectedEmployee)(e.target.value)}
+            >
+              <option value="all">All Employees</option>
+              {employeeOptions.map((emp) => (
+                <option key={emp._id} value={emp._id}>
+                  {emp.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <DateRangePicker onDateChange={changeFilter(setDateRange)} />
+        </div>
+      </div>
+
+      <div className="task-section full-width">
+        <h3>Changes ({total})</h3>
+        {loading && page === 1 ? (
+          <div className="no-tasks">Loading...</div>
+        ) : entries.length === 0 ? (
+          <div className="no-tasks">No changes found</div>
+        ) : (
+          <>
+            <div className="table-container">
+              <table className="data-table audit-table">
+                <thead>
+                  <tr>
+                    <th>When</th>
+                    <th>Task</th>
+                    <th>Employee</th>
+                    <th>Change</th>
+                    <th>Changed By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry) => (
+                    <tr key={entry._id}>
+                      <td>{formatTimestamp(entry.createdAt)}</td>
+                      <td>{entry.task?.title || "Deleted task"}</td>
+                      <td>
+                        {entry.employee ? (
+                          <Link to={`/admin/employees/${entry.employee._id}`} state={{ employee: entry.employee }}>
+                            {entry.employee.name}
+                          </Link>
+                        ) : (
+                          "—"
+                        )}
+                        {entry.employee?.department && (
+                          <span className="employee-department">{entry.employee.department}</span>
+                        )}
+                      </td>
+                      <td>{describeHistoryEntry(entry, tasks)}</td>
+                      <td>{entry.changedBy?.name || "Unknown user"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {total > entries.length && (
+              <div className="load-more">
+                <span>
+                  Showing {entries.length} of {total} changes
+                </span>
+                <button onClick={() => setPage((current) => current + 1)} className="filter-button" disabled={loading}>
+                  {loading ? "Loading..." : "Load more"}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AuditLog
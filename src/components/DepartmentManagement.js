@@ -0,0 +1,296 @@
+import { useState, useEffect } from "react"
+import { tasksApi, departmentsApi, usersApi } from "../services/api"
+import { countDepartmentMembers } from "../utils/employees"
+import Navbar from "./Navbar"
+
+// Limits from the backend Department model
+const NAME_MAX_LENGTH = 50
+const DESCRIPTION_MAX_LENGTH = 200
+
+const validateDepartment = ({ name, description }, departments, currentId = null) => {
+  const trimmedName = name.trim()
+
+  if (!trimmedName) return "Department name is required"
+  if (trimmedName.length > NAME_MAX_LENGTH) {
+    return `Department name cannot be more than ${NAME_MAX_LENGTH} characters`
+  }
+  if (description.trim().length > DESCRIPTION_MAX_LENGTH) {
+    return `Description cannot be more than ${DESCRIPTION_MAX_LENGTH} characters`
+  }
+  if (departments.some((d) => d._id !== currentId && d.name.toLowerCase() === trimmedName.toLowerCase())) {
+    return "A department with this name already exists"
+  }
+  return ""
+}
+
+const DepartmentFields = ({ values, onChange, idPrefix }) => (
+  <>
+    <div className="form-group">
+      <label htmlFor={`${idPrefix}-name`}>Name:</label>
+      <input
+        type="text"
+        id={`${idPrefix}-name`}
+        value={values.name}
+        maxLength={NAME_MAX_LENGTH}
+        onChange={(e) => onChange({ ...values, name: e.target.value })}
+        required
+      />
+      <div className="char-count">
+        {values.name.length}/{NAME_MAX_LENGTH}
+      </div>
+    </div>
+    <div className="form-group">
+      <label htmlFor={`${idPrefix}-description`}>Description:</label>
+      <textarea
+        id={`${idPrefix}-description`}
+        value={values.description}
+        maxLength={DESCRIPTION_MAX_LENGTH}
+        onChange={(e) => onChange({ ...values, description: e.target.value })}
+        rows="2"
+      />
+      <div className="char-count">
+        {values.description.length}/{DESCRIPTION_MAX_LENGTH}
+      </div>
+    </div>
+  </>
+)
+
+const EMPTY_DEPARTMENT = { name: "", description: "" }
+
+const DepartmentManagement = () => {
+  const [departments, setDepartments] = useState([])
+  // Every user of any role, deactivated ones included, since any of them would be orphaned by a delete.
+  // null when /users couldn't be loaded: a partial list could hide members, so deletes are refused then.
+  const [users, setUsers] = useState(null)
+  const [tasks, setTasks] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState("")
+  const [newDepartment, setNewDepartment] = useState(EMPTY_DEPARTMENT)
+  const [formError, setFormError] = useState("")
+  const [editingId, setEditingId] = useState(null)
+  const [editValues, setEditValues] = useState(EMPTY_DEPARTMENT)
+  const [editError, setEditError] = useState("")
+  const [confirmingDeleteId, setConfirmingDeleteId] = useState(null)
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [departmentsData, tasksData] = await Promise.all([departmentsApi.getAll(), tasksApi.getAll()])
+        setDepartments(departmentsData)
+        setTasks(tasksData)
+        const usersData = await usersApi.getAll().catch(() => null)
+        setUsers(usersData)
+        if (!usersData) setError("Couldn't load users, so member counts are unknown and departments can't be deleted")
+        setLoading(false)
+      } catch (err) {
+        setError("Failed to fetch departments")
+        setLoading(false)
+      }
+    }
+
+    fetchData()
+  }, [])
+
+  const memberCount = (name) => (users ? countDepartmentMembers(users, name) : null)
+  const taskCount = (name) => tasks.filter((task) => task.employee?.department === name).length
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setFormError("")
+
+    const validationError = validateDepartment(newDepartment, departments)
+    if (validationError) {
+      setFormError(validationError)
+      return
+    }
+
+    try {
+      const created = await departmentsApi.create({
+        name: newDepartment.name.trim(),
+        description: newDepartment.description.trim(),
+      })
+      setDepartments((prev) => [...prev, created])
+      setNewDepartment(EMPTY_DEPARTMENT)
+    } catch (err) {
+      setFormError(err.message || "Failed to create department")
+    }
+  }
+
+  const startEdit = (department) => {
+    setEditingId(department._id)
+    setEditValues({ name: department.name, description: department.description || "" })
+    setEditError("")
+  }
+
+  const handleUpdate = async (e) => {
+    e.preventDefault()
+    setEditError("")
+
+    const validationError = validateDepartment(editValues, departments, editingId)
+    if (validationError) {
+      setEditError(validationError)
+      return
+    }
+
+    // Renaming orphans members the same way deleting would, so it has the same guard
+    const department = departments.find((dept) => dept._id === editingId)
+    if (editValues.name.trim() !== department.name) {
+      const members = memberCount(department.name)
+      if (members === null) {
+        setEditError(`Cannot rename ${department.name}: the user list couldn't be loaded to check who is in it`)
+        return
+      }
+      if (members > 0) {
+        setEditError(`Cannot rename ${department.name}: move its users to another department first`)
+        return
+      }
+    }
+
+    try {
+      const updated = await departmentsApi.update(editingId, {
+        name: editValues.name.trim(),
+        description: editValues.description.trim(),
+      })
+      setDepartments((prev) => prev.map((dept) => (dept._id === editingId ? updated : dept)))
+      setEditingId(null)
+    } catch (err) {
+      setEditError(err.message || "Failed to update department")
+    }
+  }
+
+  const handleDelete = async (department) => {
+    // Users reference their department by name, so removing one that is in use would orphan them
+    const members = memberCount(department.name)
+    if (members === null) {
+      setError(`Cannot delete ${department.name}: the user list couldn't be loaded to check who is in it`)
+      setConfirmingDeleteId(null)
+      return
+    }
+    if (members > 0) {
+      setError(`Cannot delete ${department.name}: move its users to another department first`)
+      setConfirmingDeleteId(null)
+      return
+    }
+
+    try {
+      await departmentsApi.remove(department._id)
+      setDepartments((prev) => prev.filter((dept) => dept._id !== department._id))
+      setConfirmingDeleteId(null)
+    } catch (err) {
+      setError(`Failed to delete department: ${err.message}`)
+    }
+  }
+
+  if (loading) return <div className="loading">Loading...</div>
+
+  return (
+    <div className="dashboard-container">
+      <Navbar />
+      <div className="dashboard-header">
+        <div className="dashboard-title">
+          <h2>Departments</h2>
+          <div className="welcome-message">Create, edit and remove departments</div>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="dashboard-content">
+        <div className="task-section">
+          <h3>Add Department</h3>
+          <form onSubmit={handleCreate} className="task-form">
+            {formError && <div className="error-message">{formError}</div>}
+            <DepartmentFields values={newDepartment} onChange={setNewDepartment} idPrefix="new-department" />
+            <button type="submit" className="submit-button">
+              Add Department
+            </button>
+          </form>
+        </div>
+
+        <div className="task-section">
+          <h3>All Departments ({departments.length})</h3>
+          {departments.length === 0 ? (
+            <div className="no-tasks">No departments found</div>
+          ) : (
+            <div className="task-list">
+              {departments.map((department) => {
+                const membersInDept = memberCount(department.name)
+
+                return editingId === department._id ? (
+                  <form key={department._id} onSubmit={handleUpdate} className="edit-task-form">
+                    <h4>Edit Department</h4>
+                    {editError && <div className="error-message">{editError}</div>}
+                    <DepartmentFields values={editValues} onChange={setEditValues} idPrefix="edit-department" />
+                    {editValues.name.trim() !== department.name && membersInDept !== 0 && (
+                      <div className="date-filter-info">
+                        Users refer to {department.name} by name, so it can only be renamed once{" "}
+                        {membersInDept === null
+                          ? "its members can be checked"
+                          : `its ${membersInDept} user(s) have moved`}
+                        .
+                      </div>
+                    )}
+                    <div className="task-actions">
+                      <button type="submit" className="edit-button">
+                        Save
+                      </button>
+                      <button type="button" onClick={() => setEditingId(null)} className="cancel-button">
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <div key={department._id} className="task-item department-item">
+                    <div className="task-header">
+                      <h4>{department.name}</h4>
+                    </div>
+                    {department.description && <div className="task-description">{department.description}</div>}
+                    <div className="task-footer">
+                      <div className="task-meta">
+                        <span>Members: {membersInDept ?? "unknown"}</span>
+                        <span>Tasks: {taskCount(department.name)}</span>
+                      </div>
+                      <div className="task-actions">
+                        <button onClick={() => startEdit(department)} className="edit-button">
+                          Edit
+                        </button>
+                        {confirmingDeleteId === department._id ? (
+                          <>
+                            <span className="confirm-text">Delete this department?</span>
+                            <button onClick={() => handleDelete(department)} className="delete-button">
+                              Confirm
+                            </button>
+                            <button onClick={() => setConfirmingDeleteId(null)} className="cancel-button">
+                              Cancel
+                            </button>
+                          </>
+                        ) : (
+                          <button
+                            onClick={() => setConfirmingDeleteId(department._id)}
+                            className="delete-button"
+                            disabled={membersInDept !== 0}
+                            title={
+                              membersInDept === null
+                                ? "Users couldn't be loaded, so this department can't be checked"
+                                : membersInDept > 0
+                                  ? "Move this department's users first"
+                                  : undefined
+                            }
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default DepartmentManagement
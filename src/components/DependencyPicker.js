@@ -0,0 +1,70 @@
+import { useState } from "react"
+import { isOfflineTask } from "../hooks/useOfflineSync"
+import { getBlockerIds, getBlockers, createsCycle } from "../utils/dependencies"
+
+// Chooses the tasks that must be Done before this one can start. blockedBy holds ids or populated
+// entries; new picks are added as ids. Tasks that already depend on this one are offered but disabled.
+const DependencyPicker = ({ taskId, blockedBy, onChange, tasks }) => {
+  const [error, setError] = useState("")
+  const selectedIds = getBlockerIds({ blockedBy })
+  const blockers = getBlockers({ blockedBy }, tasks)
+
+  // Tasks still waiting for the server have no id it would recognise
+  const candidates = tasks.filter(
+    (task) =>
+      task._id !== taskId && !selectedIds.includes(task._id) && task.status !== "Done" && !isOfflineTask(task._id),
+  )
+
+  const addBlocker = (e) => {
+    const blockerId = e.target.value
+    if (!blockerId) return
+
+    if (createsCycle(taskId, blockerId, tasks)) {
+      setError("That task already depends on this one, so it can't block it")
+      return
+    }
+    setError("")
+    onChange([...blockedBy, blockerId])
+  }
+
+  const removeBlocker = (blockerId) => {
+    onChange(blockedBy.filter((_, index) => selectedIds[index] !== blockerId))
+  }
+
+  return (
+    <div className="dependency-picker">
+      {error && <div className="error-message">{error}</div>}
+      {blockers.length > 0 && (
+        <ul className="blocker-list">
+          {blockers.map((blocker) => (
+            <li key={blocker._id} className="blocker">
+              <span className="blocker-title">{blocker.title}</span>
+              <span className="time-entry-meta">{blocker.status}</span>
+              <button type="button" onClick={() => removeBlocker(blocker._id)} className="link-button">
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {candidates.length === 0 ? (
+        <div className="comments-empty">No other open tasks to depend on</div>
+      ) : (
+        <select value="" onChange={addBlocker} aria-label="Add a blocking task">
+          <option value="">Add a task this one waits for…</option>
+          {candidates.map((task) => {
+            const cyclic = createsCycle(taskId, task._id, tasks)
+            const owner = task.employee?.name ? ` · ${task.employee.name}` : ""
+            return (
+              <option key={task._id} value={task._id} disabled={cyclic}>
+                {`${task.title} (${task.status})${owner}${cyclic ? " — depends on this task" : ""}`}
+              </option>
+            )
+          })}
+        </select>
+      )}
+    </div>
+  )
+}
+
+export default DependencyPicker
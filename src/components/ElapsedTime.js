@@ -0,0 +1,16 @@
+import { useState, useEffect } from "react"
+import { formatElapsed } from "../utils/timeTracking"
+
+// Ticks once a second from startedAt (ms timestamp)
+const ElapsedTime = ({ startedAt }) => {
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  return <span className="elapsed-time">{formatElapsed(now - startedAt)}</span>
+}
+
+export default ElapsedTime
@@ -1,109 +1,315 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useContext, useMemo, useCallback, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
-import axios from 'axios';
+import { tasksApi, isNetworkError } from '../services/api';
+import { cacheTasks, getCachedTasks } from '../services/offlineStore';
 import TaskForm from './TaskForm';
 import TaskList from './TaskList';
+import TaskBoard from './TaskBoard';
+import ViewToggle from './ViewToggle';
+import TaskFilterBar from './TaskFilterBar';
+import ProductivitySummary from './ProductivitySummary';
+import LiveStatus from './LiveStatus';
+import OfflineStatus from './OfflineStatus';
+import ToastStack from './ToastStack';
+import ActiveTimerBar from './ActiveTimerBar';
+import useTaskEvents from '../hooks/useTaskEvents';
+import useToasts from '../hooks/useToasts';
+import useOfflineSync, { OFFLINE_ID_PREFIX, isOfflineTask, conflictBase } from '../hooks/useOfflineSync';
 import Navbar from './Navbar';
 import LiveDateTime from './LiveDateTime';
+import { buildLocalTask, stampCompletion, applyTaskFilters, applyTaskEvent, getTaskOwnerId, filtersFromSearchParams, filtersToSearchParams } from '../utils/tasks';
+import { nextOccurrenceAfterUpdate } from '../utils/recurrence';
+import { withLoggedTime } from '../utils/timeTracking';
+import { uploadAttachments } from '../utils/attachments';
+import { blockedTransitionError, tasksUnblockedBy, syncBlockerEntries } from '../utils/dependencies';
 
+// Prefix for tasks shown while their create request is still in flight
+const PENDING_ID_PREFIX = 'pending-';
+// How long a deleted task can be restored before the DELETE request is sent
+const UNDO_DELETE_MS = 5000;
 
 const EmployeeDashboard = () => {
   const { user } = useContext(AuthContext);
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [filter, setFilter] = useState('all');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [view, setView] = useState('list');
+  // Set when the list on screen came from the offline cache rather than the server
+  const [cachedAt, setCachedAt] = useState(null);
+  const { toasts, showToast, dismissToast } = useToasts();
 
+  const fetchTasks = useCallback(async () => {
+    try {
+      setTasks(await tasksApi.getByEmployee(user.id));
+      setCachedAt(null);
+      setError('');
+      setLoading(false);
+    } catch (err) {
+      const cached = isNetworkError(err) ? await getCachedTasks(user.id) : null;
+      if (cached) {
+        setTasks(cached.tasks);
+        setCachedAt(cached.cachedAt);
+      } else {
+        setError('Failed to fetch tasks');
+      }
+      setLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    fetchTasks();
+  }, [fetchTasks]);
+
+  // Keep the latest list on the device so the dashboard still opens offline. A list that came
+  // from the cache keeps its original timestamp, so the banner shows when it was last fetched.
   useEffect(() => {
-    const fetchTasks = async () => {
-      try {
+    if (loading) return;
+    const savedTasks = tasks.filter(task => !String(task._id).startsWith(PENDING_ID_PREFIX));
+    cacheTasks(user.id, savedTasks, cachedAt || Date.now());
+  }, [tasks, loading, user, cachedAt]);
+
+  // Once queued changes reach the server, reload so temporary ids and conflicts are resolved
+  const offline = useOfflineSync(user.id, fetchTasks);
 
-        const response = await axios.get(`https://employeetaskbackend.onrender.com/api/tasks/employee/${user.id}`, {
+  // Swap the cached list for fresh data once the connection is back
+  const wasOnline = useRef(offline.isOnline);
+  useEffect(() => {
+    if (offline.isOnline && !wasOnline.current && cachedAt) fetchTasks();
+    wasOnline.current = offline.isOnline;
+  }, [offline.isOnline, cachedAt, fetchTasks]);
 
+  const liveStatus = useTaskEvents((event) => {
+    // The backend also sends an "unblocked" notification; the toast covers the dashboard that is open now
+    if (event.type === 'task:updated') {
+      tasksUnblockedBy(event.task, tasks).forEach(task => showToast({
+        type: 'info',
+        message: `"${event.task.title}" is done, so "${task.title}" can be started`
+      }));
+    }
     
+    // A task reassigned to someone else leaves this list, but may still block tasks in it
+    if (event.task && getTaskOwnerId(event.task) !== user.id) {
+      setTasks(prevTasks => syncBlockerEntries(prevTasks.filter(task => task._id !== event.task._id), event.task));
+      return;
+    }
+    setTasks(prevTasks => applyTaskEvent(prevTasks, event));
+  });
 
-          headers: { Authorization: `Bearer ${user.token}` }
-        });
-        setTasks(response.data);
-        setLoading(false);
-      } catch (err) {
-        setError('Failed to fetch tasks');
-        setLoading(false);
-      }
-    };
+  // Tasks with a request in flight, counted so overlapping saves on one task don't clear it early
+  const [pendingCounts, setPendingCounts] = useState({});
+  const trackPending = (id, delta) => {
+    setPendingCounts(prev => {
+      const count = (prev[id] || 0) + delta;
+      const next = { ...prev };
+      if (count > 0) next[id] = count; else delete next[id];
+      return next;
+    });
+  };
 
-    fetchTasks();
-  }, [user]);
+  const addTaskOffline = async (newTask, files = []) => {
+    if (files.length > 0) {
+      showToast({ message: `Attachments can't be uploaded offline. Add them to "${newTask.title}" once you're back online.` });
+    }
+    const data = { ...newTask, employeeId: user.id };
+    const tempId = `${OFFLINE_ID_PREFIX}${Date.now()}`;
+    await offline.queueMutation({ type: 'create', tempId, data });
+    setTasks(prevTasks => [...prevTasks, { ...buildLocalTask(data, tempId), pendingSync: true }]);
+    return { success: true };
+  };
+
+  // Offline edits are applied locally straight away; tasks created offline only change their queued create
+  const updateTaskOffline = async (id, changes, previousTask) => {
+    await offline.queueMutation({ type: 'update', taskId: id, data: changes, base: conflictBase(previousTask) });
+    setTasks(prevTasks => prevTasks.map(task => task._id === id ? { ...task, ...changes, pendingSync: true } : task));
+    createNextOccurrence(previousTask, changes);
+    return { success: true };
+  };
+
+  // Completing a recurring task schedules its next instance
+  const createNextOccurrence = (previousTask, changes) => {
+    const nextTask = nextOccurrenceAfterUpdate(previousTask, changes, tasks);
+    if (nextTask) addTask(nextTask);
+  };
 
-  const addTask = async (newTask) => {
+  const deleteTaskOffline = async (task) => {
+    await offline.queueMutation({ type: 'delete', taskId: task._id, base: conflictBase(task) });
+    setTasks(prevTasks => prevTasks.filter(t => t._id !== task._id));
+    return { success: true };
+  };
+
+  // Mutations update the list first and report back to the form straight away.
+  // If the server then refuses the change it is rolled back and a toast says why.
+  const createTask = async (newTask, tempId, files) => {
+    trackPending(tempId, 1);
     try {
-      const response = await axios.post('https://employeetaskbackend.onrender.com/api/tasks', 
-        { ...newTask, employeeId: user.id },
-        { headers: { Authorization: `Bearer ${user.token}` } }
-      );
-      setTasks([...tasks, response.data]);
-      return { success: true };
+      const createdTask = await tasksApi.create({ ...newTask, employeeId: user.id });
+      setTasks(prevTasks => prevTasks.map(task => task._id === tempId ? createdTask : task));
+      
+      if (files.length > 0) {
+        const failed = await uploadAttachments(createdTask._id, files, () => {
+          setTasks(prevTasks => prevTasks.map(task => 
+            task._id === createdTask._id ? { ...task, attachmentCount: (task.attachmentCount || 0) + 1 } : task
+          ));
+        });
+        if (failed.length > 0) {
+          showToast({ message: `"${newTask.title}" was added, but some files didn't upload: ${failed.join(', ')}` });
+        }
+      }
     } catch (err) {
-      setError('Failed to add task');
-      return { success: false, message: err.response?.data?.message || 'Failed to add task' };
+      setTasks(prevTasks => prevTasks.filter(task => task._id !== tempId));
+      if (isNetworkError(err)) {
+        await addTaskOffline(newTask, files);
+      } else {
+        showToast({ message: `Couldn't add "${newTask.title}": ${err.message}` });
+      }
+    } finally {
+      trackPending(tempId, -1);
     }
   };
 
-  const updateTask = async (id, updatedTask) => {
+  const addTask = async (taskData, files = []) => {
+    const newTask = stampCompletion({}, taskData);
+    if (!offline.isOnline) return addTaskOffline(newTask, files);
+
+    const tempId = `${PENDING_ID_PREFIX}${Date.now()}`;
+    setTasks(prevTasks => [...prevTasks, buildLocalTask({ ...newTask, employeeId: user.id }, tempId)]);
+    createTask(newTask, tempId, files);
+    return { success: true };
+  };
+
+  const saveTask = async (id, changes, previousTask) => {
+    trackPending(id, 1);
     try {
-      const response = await axios.put(`https://employeetaskbackend.onrender.com/api/tasks/${id}`, 
-        updatedTask,
-        { headers: { Authorization: `Bearer ${user.token}` } }
-      );
-      setTasks(tasks.map(task => task._id === id ? response.data : task));
-      return { success: true };
+      const savedTask = await tasksApi.update(id, changes);
+      setTasks(prevTasks => prevTasks.map(task => task._id === id ? savedTask : task));
+      createNextOccurrence(previousTask, changes);
     } catch (err) {
-      setError('Failed to update task');
-      return { success: false, message: err.response?.data?.message || 'Failed to update task' };
+      if (isNetworkError(err)) {
+        await updateTaskOffline(id, changes, previousTask);
+      } else {
+        setTasks(prevTasks => prevTasks.map(task => task._id === id ? previousTask : task));
+        showToast({ message: `Couldn't save "${previousTask.title}": ${err.message}` });
+      }
+    } finally {
+      trackPending(id, -1);
     }
   };
 
-  const deleteTask = async (id) => {
+  const updateTask = async (id, taskData) => {
+    const previousTask = tasks.find(task => task._id === id);
+    const blockedError = blockedTransitionError(previousTask, taskData, tasks);
+    if (blockedError) return { success: false, message: blockedError };
+    
+    const updatedTask = stampCompletion(previousTask, taskData);
+    if (!offline.isOnline || isOfflineTask(id)) return updateTaskOffline(id, updatedTask, previousTask);
+
+    setTasks(prevTasks => prevTasks.map(task => task._id === id ? { ...task, ...updatedTask } : task));
+    saveTask(id, updatedTask, previousTask);
+    return { success: true };
+  };
+
+  // Used by the board, which has no form to show a refusal in
+  const moveTask = async (id, status) => {
+    const result = await updateTask(id, { status });
+    if (!result.success) showToast({ message: result.message });
+  };
+
+  // Deleted tasks leave the list at once, but the DELETE is only sent once the undo toast has expired
+  const pendingDeletes = useRef({});
+
+  const restoreTask = (task, index) => {
+    setTasks(prevTasks => {
+      if (prevTasks.some(t => t._id === task._id)) return prevTasks;
+      const nextTasks = [...prevTasks];
+      nextTasks.splice(Math.min(index, nextTasks.length), 0, task);
+      return nextTasks;
+    });
+  };
+
+  // `leaving` is set when the dashboard unmounts, e.g. on logout: the delete then goes out with the
+  // token captured when it was made, and one that fails is queued since nothing is left to restore it into
+  const commitDelete = async (id, { leaving = false } = {}) => {
+    const pendingDelete = pendingDeletes.current[id];
+    if (!pendingDelete) return;
+    clearTimeout(pendingDelete.timer);
+    delete pendingDeletes.current[id];
+
+    const { task, index, token } = pendingDelete;
+    if (!offline.isOnline || isOfflineTask(id)) {
+      await deleteTaskOffline(task);
+      return;
+    }
+
     try {
-      await axios.delete(`https://employeetaskbackend.onrender.com/api/tasks/${id}`, {
-        headers: { Authorization: `Bearer ${user.token}` }
-      });
-      setTasks(tasks.filter(task => task._id !== id));
-      return { success: true };
+      await tasksApi.remove(id, token);
     } catch (err) {
-      setError('Failed to delete task');
-      return { success: false, message: err.response?.data?.message || 'Failed to delete task' };
+      if (isNetworkError(err) || leaving) {
+        await deleteTaskOffline(task);
+      } else {
+        restoreTask(task, index);
+        showToast({ message: `Couldn't delete "${task.title}": ${err.message}` });
+      }
     }
   };
 
-  const filteredTasks = () => {
-    switch(filter) {
-      case 'todo':
-        return tasks.filter(task => task.status === 'To Do');
-      case 'inprogress':
-        return tasks.filter(task => task.status === 'In Progress');
-      case 'review':
-        return tasks.filter(task => task.status === 'Review');
-      case 'done':
-        return tasks.filter(task => task.status === 'Done');
-      case 'urgent':
-        return tasks.filter(task => task.priority === 'Urgent');
-      case 'high':
-        return tasks.filter(task => task.priority === 'High');
-      case 'overdue':
-        return tasks.filter(task => {
-          if (!task.dueDate) return false;
-          const today = new Date();
-          today.setHours(0, 0, 0, 0);
-          const dueDate = new Date(task.dueDate);
-          dueDate.setHours(0, 0, 0, 0);
-          return dueDate < today && task.status !== 'Done';
-        });
-      default:
-        return tasks;
-    }
+  // The undo timer fires after later renders, so it calls the latest commitDelete
+  const commitDeleteRef = useRef(commitDelete);
+  useEffect(() => {
+    commitDeleteRef.current = commitDelete;
+  });
+
+  const undoDelete = (id) => {
+    const pendingDelete = pendingDeletes.current[id];
+    if (!pendingDelete) return;
+    clearTimeout(pendingDelete.timer);
+    delete pendingDeletes.current[id];
+    restoreTask(pendingDelete.task, pendingDelete.index);
+  };
+
+  const deleteTask = async (id) => {
+    const index = tasks.findIndex(task => task._id === id);
+    const task = tasks[index];
+    setTasks(prevTasks => prevTasks.filter(t => t._id !== id));
+
+    pendingDeletes.current[id] = {
+      task,
+      index,
+      token: user.token,
+      timer: setTimeout(() => commitDeleteRef.current(id), UNDO_DELETE_MS)
+    };
+    showToast({
+      type: 'info',
+      message: `Deleted "${task.title}"`,
+      action: { label: 'Undo', onClick: () => undoDelete(id) },
+      duration: UNDO_DELETE_MS
+    });
+    return { success: true };
+  };
+
+  // Leaving the dashboard, logging out included, sends any deletes still waiting on their undo window
+  useEffect(() => {
+    const deletes = pendingDeletes.current;
+    return () => Object.keys(deletes).forEach(id => commitDeleteRef.current(id, { leaving: true }));
+  }, []);
+
+  // Timers and manual entries are saved by their own components; this keeps task totals current
+  const logTime = (id, minutes) => {
+    setTasks(prevTasks => withLoggedTime(prevTasks, id, minutes));
   };
 
+  const filters = useMemo(() => filtersFromSearchParams(searchParams), [searchParams]);
+
+  const handleFiltersChange = (newFilters) => {
+    setSearchParams(filtersToSearchParams(newFilters, searchParams), { replace: true });
+  };
+
+  const filteredTasks = useMemo(
+    () => applyTaskFilters(tasks, filters).map(task => pendingCounts[task._id] ? { ...task, saving: true } : task),
+    [tasks, filters, pendingCounts]
+  );
+
   if (loading) return <div className="loading">Loading...</div>;
 
   return (
@@ -113,32 +319,59 @@ const EmployeeDashboard = () => {
         <div className="dashboard-title">
           <h2>Employee Dashboard</h2>
           <div className="welcome-message">
-            Welcome, {user.name}! ({user.department})
+            Welcome, {user.name}! ({user.department}) <LiveStatus status={liveStatus} />
           </div>
         </div>
         <LiveDateTime />
       </div>
       
+      <OfflineStatus 
+        isOnline={offline.isOnline}
+        syncing={offline.syncing}
+        pendingCount={offline.pendingCount}
+        syncIssues={offline.syncIssues}
+        onDismissIssues={offline.dismissSyncIssues}
+        cachedAt={cachedAt}
+      />
+      
       {error && <div className="error-message">{error}</div>}
       
+      <ToastStack toasts={toasts} onDismiss={dismissToast} />
       
+      <ActiveTimerBar onTimeLogged={logTime} />
       
+      <ProductivitySummary tasks={tasks} />
       
+      <TaskFilterBar filters={filters} onChange={handleFiltersChange} />
       
       <div className="dashboard-content">
         <div className="task-section">
           <h3>Add New Task</h3>
-          <TaskForm onSubmit={addTask} />
+          <TaskForm onSubmit={addTask} allTasks={tasks} />
         </div>
         
-        <div className="task-section">
-          <h3>Your Tasks {filter !== 'all' && `(${filter})`}</h3>
-          <TaskList 
-            tasks={filteredTasks()} 
-            onUpdate={updateTask} 
-            onDelete={deleteTask}
-            isEmployee={true}
-          />
+        <div className={`task-section ${view === 'board' ? 'full-width' : ''}`}>
+          <div className="task-section-header">
+            <h3>Your Tasks ({filteredTasks.length})</h3>
+            <ViewToggle view={view} onChange={setView} />
+          </div>
+          {view === 'board' ? (
+            <TaskBoard
+              tasks={filteredTasks}
+              filterKey={searchParams.toString()}
+              allTasks={tasks}
+              onStatusChange={moveTask}
+            />
+          ) : (
+            <TaskList 
+              tasks={filteredTasks} 
+              allTasks={tasks}
+              filterKey={searchParams.toString()}
+              onUpdate={updateTask} 
+              onDelete={deleteTask}
+              onTimeLogged={logTime}
+            />
+          )}
         </div>
       </div>
     </div>
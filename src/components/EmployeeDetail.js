@@ -0,0 +1,243 @@
+import { useState, useEffect, useMemo } from "react"
+import { useParams, useLocation, useSearchParams, Link } from "react-router-dom"
+import { tasksApi, usersApi } from "../services/api"
+import Navbar from "./Navbar"
+import TaskList from "./TaskList"
+import TaskFilterBar from "./TaskFilterBar"
+import BarChart from "./charts/BarChart"
+import LineChart from "./charts/LineChart"
+import {
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  STATUS_COLORS,
+  PRIORITY_COLORS,
+  isOverdue,
+  applyTaskFilters,
+  stampCompletion,
+  filtersFromSearchParams,
+  filtersToSearchParams,
+} from "../utils/tasks"
+import {
+  completionRate,
+  countByStatus,
+  countByPriority,
+  resolveTrendRange,
+  weeklyActivity,
+  formatWeekLabel,
+} from "../utils/analytics"
+import { nextOccurrenceAfterUpdate } from "../utils/recurrence"
+import { withLoggedTime } from "../utils/timeTracking"
+import { blockedTransitionError } from "../utils/dependencies"
+import { findTaskEmployee } from "../utils/employees"
+
+// Weeks of completion history shown on the page
+const HISTORY_WEEKS = 12
+
+const EmployeeDetail = () => {
+  const { id } = useParams()
+  const location = useLocation()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [employee, setEmployee] = useState(null)
+  const [tasks, setTasks] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState("")
+
+  useEffect(() => {
+    let cancelled = false
+    // TaskItem passes the employee along when linking here, which saves a lookup
+    const linkedEmployee = location.state?.employee?._id === id ? location.state.employee : null
+
+    // GET /users/:id isn't on every backend; a single task fetched by id comes back with employeeId populated
+    const fetchEmployee = async (employeeTasks) => {
+      try {
+        return await usersApi.get(id)
+      } catch (err) {
+        if (employeeTasks.length === 0) return null
+        return findTaskEmployee(await tasksApi.get(employeeTasks[0]._id), [])
+      }
+    }
+
+    // Nothing from the previous employee may stay on screen while this one loads, or if it fails
+    const fetchData = async () => {
+      setLoading(true)
+      setError("")
+      setTasks([])
+      setEmployee(linkedEmployee)
+
+      let employeeTasks = []
+      try {
+        employeeTasks = await tasksApi.getByEmployee(id)
+        if (cancelled) return
+        setTasks(employeeTasks)
+      } catch (err) {
+        if (cancelled) return
+        setError(`Failed to fetch tasks: ${err.message}`)
+      }
+      setLoading(false)
+
+      if (!linkedEmployee) {
+        const employeeData = await fetchEmployee(employeeTasks).catch(() => null)
+        if (!cancelled) setEmployee(employeeData)
+      }
+    }
+
+    fetchData()
+    return () => {
+      cancelled = true
+    }
+  }, [id, location.state])
+
+  const filters = useMemo(() => filtersFromSearchParams(searchParams), [searchParams])
+  const filteredTasks = useMemo(() => applyTaskFilters(tasks, filters), [tasks, filters])
+  const overdueTasks = useMemo(() => tasks.filter(isOverdue), [tasks])
+
+  const statusData = useMemo(() => {
+    const counts = countByStatus(tasks)
+    return TASK_STATUSES.map((status) => ({ label: status, value: counts[status], color: STATUS_COLORS[status] }))
+  }, [tasks])
+
+  const priorityData = useMemo(() => {
+    const counts = countByPriority(tasks)
+    return TASK_PRIORITIES.map((priority) => ({ label: priority, value: counts[priority], color: PRIORITY_COLORS[priority] }))
+  }, [tasks])
+
+  const weeks = useMemo(() => {
+    const { start, end } = resolveTrendRange(null, HISTORY_WEEKS)
+    return weeklyActivity(tasks, start, end)
+  }, [tasks])
+
+  const handleFiltersChange = (newFilters) => {
+    setSearchParams(filtersToSearchParams(newFilters, searchParams), { replace: true })
+  }
+
+  // Time entries are saved by TaskTimeLog; this keeps the task totals current
+  const logTime = (taskId, minutes) => {
+    setTasks((prevTasks) => withLoggedTime(prevTasks, taskId, minutes))
+  }
+
+  // Completing a recurring task schedules its next instance
+  const createNextOccurrence = async (previousTask, changes) => {
+    const nextTask = nextOccurrenceAfterUpdate(previousTask, changes, tasks)
+    if (!nextTask) return
+
+    try {
+      const createdTask = await tasksApi.create({ ...nextTask, employeeId: id })
+      setTasks((prevTasks) => [createdTask, ...prevTasks])
+    } catch (err) {
+      setError(`Failed to create the next "${previousTask.title}": ${err.message}`)
+    }
+  }
+
+  const updateTask = async (taskId, taskData) => {
+    const previousTask = tasks.find((task) => task._id === taskId)
+    const blockedError = blockedTransitionError(previousTask, taskData, tasks)
+    if (blockedError) return { success: false, message: blockedError }
+
+    try {
+      const savedTask = await tasksApi.update(taskId, stampCompletion(previousTask, taskData))
+      setTasks((prevTasks) => prevTasks.map((task) => (task._id === taskId ? savedTask : task)))
+      createNextOccurrence(previousTask, taskData)
+      return { success: true }
+    } catch (err) {
+      return { success: false, message: err.message || "Failed to update task" }
+    }
+  }
+
+  const deleteTask = async (taskId) => {
+    try {
+      await tasksApi.remove(taskId)
+      setTasks((prevTasks) => prevTasks.filter((task) => task._id !== taskId))
+      return { success: true }
+    } catch (err) {
+      setError(`Failed to delete task: ${err.message}`)
+      return { success: false, message: err.message || "Failed to delete task" }
+    }
+  }
+
+  if (loading) return <div className="loading">Loading...</div>
+
+  return (
+    <div className="dashboard-container">
+      <Navbar />
+      <div className="dashboard-header">
+        <div className="dashboard-title">
+          <h2>{employee ? employee.name : "Employee"}</h2>
+          <div className="welcome-message">
+            {employee?.department && <span className="employee-department">{employee.department}</span>}{" "}
+            <Link to="/admin-dashboard">← Back to dashboard</Link>
+          </div>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="task-summary">
+        <div className="summary-card">
+          <div className="summary-title">Total Tasks</div>
+          <div className="summary-count">{tasks.length}</div>
+        </div>
+        <div className="summary-card">
+          <div className="summary-title">Completion Rate</div>
+          <div className="summary-count done-count">{completionRate(tasks)}%</div>
+        </div>
+        <div className="summary-card">
+          <div className="summary-title">Overdue</div>
+          <div className="summary-count overdue-count">{overdueTasks.length}</div>
+        </div>
+      </div>
+
+      <div className="analytics-grid">
+        <div className="analytics-card">
+          <h4>Workload by Status</h4>
+          <BarChart title="Tasks by status" data={statusData} />
+        </div>
+        <div className="analytics-card">
+          <h4>Workload by Priority</h4>
+          <BarChart title="Tasks by priority" data={priorityData} />
+        </div>
+        <div className="analytics-card">
+          <h4>Completion History</h4>
+          <LineChart
+            title="Tasks created and completed per week"
+            labels={weeks.map((week) => formatWeekLabel(week.weekStart))}
+            series={[
+              { key: "created", label: "Created", color: STATUS_COLORS["To Do"], values: weeks.map((w) => w.created) },
+              { key: "completed", label: "Completed", color: STATUS_COLORS.Done, values: weeks.map((w) => w.completed) },
+            ]}
+          />
+        </div>
+        <div className="analytics-card">
+          <h4>Overdue Items ({overdueTasks.length})</h4>
+          {overdueTasks.length === 0 ? (
+            <div className="no-tasks">Nothing overdue</div>
+          ) : (
+            <ul className="overdue-list">
+              {overdueTasks.map((task) => (
+                <li key={task._id}>
+                  <span>{task.title}</span>
+                  <span className="overdue-badge">Due {new Date(task.dueDate).toLocaleDateString()}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <TaskFilterBar filters={filters} onChange={handleFiltersChange} />
+
+      <div className="task-section full-width">
+        <h3>Tasks ({filteredTasks.length})</h3>
+        <TaskList
+          tasks={filteredTasks}
+          allTasks={tasks}
+          filterKey={searchParams.toString()}
+          onUpdate={updateTask}
+          onDelete={deleteTask}
+          onTimeLogged={logTime}
+        />
+      </div>
+    </div>
+  )
+}
+
+export default EmployeeDetail
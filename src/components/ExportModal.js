@@ -6,6 +6,8 @@ const ExportModal = ({ isOpen, onClose, onExport, departments }) => {
   const [department, setDepartment] = useState("all")
   const [startDate, setStartDate] = useState("")
   const [endDate, setEndDate] = useState("")
+  const [includeTime, setIncludeTime] = useState(true)
+  const [includeTimesheets, setIncludeTimesheets] = useState(false)
 
   if (!isOpen) return null
 
@@ -14,6 +16,8 @@ const ExportModal = ({ isOpen, onClose, onExport, departments }) => {
       type: exportType,
       department,
       dateRange: startDate || endDate ? { startDate, endDate } : null,
+      includeTime,
+      includeTimesheets,
     })
     onClose()
   }
@@ -75,6 +79,21 @@ const ExportModal = ({ isOpen, onClose, onExport, departments }) => {
               </div>
             </div>
           </div>
+
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input type="checkbox" checked={includeTime} onChange={(e) => setIncludeTime(e.target.checked)} />
+              Include logged and estimated hours
+            </label>
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={includeTimesheets}
+                onChange={(e) => setIncludeTimesheets(e.target.checked)}
+              />
+              Include approved timesheets
+            </label>
+          </div>
         </div>
 
         <div className="modal-footer">
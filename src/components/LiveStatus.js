@@ -0,0 +1,19 @@
+const STATUS_TEXT = {
+  connecting: "Connecting…",
+  connected: "Live",
+  reconnecting: "Reconnecting…",
+}
+
+// Small indicator for the live task update channel; hidden where the browser has no EventSource
+const LiveStatus = ({ status }) => {
+  if (!STATUS_TEXT[status]) return null
+
+  return (
+    <span className={`live-status live-status-${status}`} title="Live task updates">
+      <span className="live-status-dot" />
+      {STATUS_TEXT[status]}
+    </span>
+  )
+}
+
+export default LiveStatus
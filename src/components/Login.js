@@ -1,34 +1,35 @@
 import { useState, useContext } from "react"
-import { useNavigate, Link } from "react-router-dom"
+import { useNavigate, useLocation, Link } from "react-router-dom"
 import { AuthContext } from "../context/AuthContext"
-import axios from "axios"
+import { authApi } from "../services/api"
 
 const Login = () => {
   const [email, setEmail] = useState("")
   const [password, setPassword] = useState("")
   const [error, setError] = useState("")
   const navigate = useNavigate()
-  const { login } = useContext(AuthContext)
+  const location = useLocation()
+  const { login, sessionExpired } = useContext(AuthContext)
+  const from = location.state?.from
 
   const handleSubmit = async (e) => {
     e.preventDefault()
     setError("")
 
     try {
-      const response = await axios.post("https://employeetaskbackend.onrender.com/api/auth/login", {
-        email,
-        password,
-      })
+      const userData = await authApi.login({ email, password })
 
-      login(response.data)
+      login(userData)
 
-      if (response.data.role === "admin") {
+      if (from) {
+        navigate(`${from.pathname}${from.search || ""}`, { replace: true })
+      } else if (userData.role === "admin") {
         navigate("/admin-dashboard")
       } else {
         navigate("/employee-dashboard")
       }
     } catch (err) {
-      setError(err.response?.data?.message || "Login failed. Please try again.")
+      setError(err.message || "Login failed. Please try again.")
     }
   }
 
@@ -39,6 +40,9 @@ const Login = () => {
         <div className="login-card">
           <h2>Employee Task Tracker</h2>
           <h3>Login</h3>
+          {sessionExpired && !error && (
+            <div className="info-message">Your session has expired. Please log in again.</div>
+          )}
           {error && <div className="error-message">{error}</div>}
           <form onSubmit={handleSubmit}>
             <div className="form-group">
@@ -1,6 +1,8 @@
 import React, { useContext } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
+import SessionExpiryBanner from './SessionExpiryBanner';
+import NotificationBell from './NotificationBell';
 
 const Navbar = () => {
   const { user, logout } = useContext(AuthContext);
@@ -12,26 +14,46 @@ const Navbar = () => {
   };
 
   return (
-    <nav className="navbar">
-      <div className="navbar-brand">
-        <h1>Aayush Wellness</h1>
-      </div>
-      <div className="navbar-menu">
-        {user.role === 'admin' && (
-          <Link to="/admin-dashboard" className="navbar-item">
-            Dashboard
-          </Link>
-        )}
-        {user.role === 'employee' && (
-          <Link to="/employee-dashboard" className="navbar-item">
-            Dashboard
-          </Link>
-        )}
-        <button onClick={handleLogout} className="logout-button">
-          Logout
-        </button>
-      </div>
-    </nav>
+    <>
+      <nav className="navbar">
+        <div className="navbar-brand">
+          <h1>Aayush Wellness</h1>
+        </div>
+        <div className="navbar-menu">
+          {user.role === 'admin' && (
+            <>
+              <Link to="/admin-dashboard" className="navbar-item">
+                Dashboard
+              </Link>
+              <Link to="/admin/departments" className="navbar-item">
+                Departments
+              </Link>
+              <Link to="/admin/users" className="navbar-item">
+                Users
+              </Link>
+              <Link to="/admin/audit-log" className="navbar-item">
+                Audit Log
+              </Link>
+            </>
+          )}
+          {user.role === 'employee' && (
+            <>
+              <Link to="/employee-dashboard" className="navbar-item">
+                Dashboard
+              </Link>
+              <Link to="/timesheet" className="navbar-item">
+                Timesheet
+              </Link>
+            </>
+          )}
+          <NotificationBell />
+          <button onClick={handleLogout} className="logout-button">
+            Logout
+          </button>
+        </div>
+      </nav>
+      <SessionExpiryBanner />
+    </>
   );
 };
 
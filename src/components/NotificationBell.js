@@ -0,0 +1,91 @@
+import { useState, useEffect, useRef, useContext } from "react"
+import { NotificationsContext } from "../context/NotificationsContext"
+
+const NOTIFICATION_LABELS = {
+  task_assigned: "Assigned",
+  due_tomorrow: "Due tomorrow",
+  overdue: "Overdue",
+  moved_to_review: "In review",
+  commented: "Comment",
+  unblocked: "Unblocked",
+}
+
+const timeAgo = (dateString) => {
+  const minutes = Math.floor((Date.now() - new Date(dateString)) / 60000)
+  if (minutes < 1) return "just now"
+  if (minutes < 60) return `${minutes}m ago`
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return `${hours}h ago`
+  return `${Math.floor(hours / 24)}d ago`
+}
+
+// The list itself lives in NotificationsContext, so it survives navigation
+const NotificationBell = () => {
+  const { notifications, error, markRead, markAllRead } = useContext(NotificationsContext)
+  const [open, setOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  useEffect(() => {
+    if (!open) return
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false)
+      }
+    }
+    document.addEventListener("mousedown", handleClickOutside)
+    return () => document.removeEventListener("mousedown", handleClickOutside)
+  }, [open])
+
+  const unreadCount = notifications.filter((n) => !n.read).length
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="notification-toggle"
+        aria-label={`Notifications${unreadCount ? ` (${unreadCount} unread)` : ""}`}
+      >
+        🔔
+        {unreadCount > 0 && <span className="notification-count">{unreadCount > 99 ? "99+" : unreadCount}</span>}
+      </button>
+
+      {open && (
+        <div className="notification-dropdown">
+          <div className="notification-header">
+            <span>Notifications</span>
+            {unreadCount > 0 && (
+              <button onClick={markAllRead} className="link-button">
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {error && <div className="notification-empty">{error}</div>}
+          {!error && notifications.length === 0 && <div className="notification-empty">You're all caught up</div>}
+
+          <ul className="notification-list">
+            {notifications.map((notification) => (
+              <li
+                key={notification._id}
+                className={`notification-item ${notification.read ? "" : "unread"}`}
+                onClick={() => !notification.read && markRead(notification._id)}
+              >
+                <div className="notification-meta">
+                  <span className={`notification-type type-${notification.type}`}>
+                    {NOTIFICATION_LABELS[notification.type] || "Update"}
+                  </span>
+                  <span>{timeAgo(notification.createdAt)}</span>
+                </div>
+                <div className="notification-message">{notification.message}</div>
+                {notification.task?.title && <div className="notification-task">{notification.task.title}</div>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NotificationBell
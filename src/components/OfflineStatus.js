@@ -0,0 +1,47 @@
+const plural = (count) => `${count} change${count === 1 ? "" : "s"}`
+
+// Banner for the employee dashboard: offline mode, queued changes, and conflicts found while syncing
+const OfflineStatus = ({ isOnline, syncing, pendingCount, syncIssues, onDismissIssues, cachedAt }) => {
+  let message = null
+  if (!isOnline) {
+    message = "You're offline. Changes are saved on this device and will sync when you reconnect."
+    if (pendingCount > 0) message += ` ${plural(pendingCount)} waiting.`
+  } else if (syncing) {
+    message = `Syncing ${plural(pendingCount)}…`
+  } else if (pendingCount > 0) {
+    message = `Can't reach the server. ${plural(pendingCount)} waiting to sync.`
+  }
+
+  if (!message && !cachedAt && syncIssues.length === 0) return null
+
+  return (
+    <div className="offline-status">
+      {message && (
+        <div className={`offline-banner ${isOnline ? "offline-banner-pending" : ""}`}>
+          <span className="offline-status-dot" />
+          {message}
+        </div>
+      )}
+      {cachedAt && (
+        <div className="date-filter-info">
+          Showing tasks saved on this device at {new Date(cachedAt).toLocaleString()}
+        </div>
+      )}
+      {syncIssues.length > 0 && (
+        <div className="sync-issues">
+          <strong>Some offline changes could not be synced:</strong>
+          <ul>
+            {syncIssues.map((issue, index) => (
+              <li key={index}>{issue}</li>
+            ))}
+          </ul>
+          <button onClick={onDismissIssues} className="cancel-button">
+            Dismiss
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default OfflineStatus
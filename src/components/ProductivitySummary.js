@@ -0,0 +1,80 @@
+import { useMemo } from "react"
+import LineChart from "./charts/LineChart"
+import { STATUS_COLORS, isOverdue } from "../utils/tasks"
+import {
+  countByStatus,
+  isDueThisWeek,
+  completionStreak,
+  getCompletedAt,
+  resolveTrendRange,
+  weeklyActivity,
+  formatWeekLabel,
+} from "../utils/analytics"
+
+const ProductivitySummary = ({ tasks }) => {
+  const statusCounts = useMemo(() => countByStatus(tasks), [tasks])
+  const overdue = useMemo(() => tasks.filter(isOverdue).length, [tasks])
+  const dueThisWeek = useMemo(() => tasks.filter(isDueThisWeek).length, [tasks])
+  const streak = useMemo(() => completionStreak(tasks), [tasks])
+  const hasCompletionDates = useMemo(() => tasks.some((task) => getCompletedAt(task)), [tasks])
+
+  const weeks = useMemo(() => {
+    const { start, end } = resolveTrendRange(null)
+    return weeklyActivity(tasks, start, end)
+  }, [tasks])
+
+  return (
+    <div className="productivity-summary">
+      <div className="task-summary">
+        <div className="summary-card">
+          <div className="summary-title">To Do</div>
+          <div className="summary-count todo-count">{statusCounts["To Do"]}</div>
+        </div>
+        <div className="summary-card">
+          <div className="summary-title">In Progress</div>
+          <div className="summary-count progress-count">{statusCounts["In Progress"]}</div>
+        </div>
+        <div className="summary-card">
+          <div className="summary-title">Review</div>
+          <div className="summary-count review-count">{statusCounts.Review}</div>
+        </div>
+        <div className="summary-card">
+          <div className="summary-title">Done</div>
+          <div className="summary-count done-count">{statusCounts.Done}</div>
+        </div>
+        <div className="summary-card">
+          <div className="summary-title">Overdue</div>
+          <div className="summary-count overdue-count">{overdue}</div>
+        </div>
+        <div className="summary-card">
+          <div className="summary-title">Due This Week</div>
+          <div className="summary-count due-today-count">{dueThisWeek}</div>
+        </div>
+        <div className="summary-card">
+          <div className="summary-title">Streak</div>
+          <div className="summary-count">
+            {streak} {streak === 1 ? "day" : "days"}
+          </div>
+          {!hasCompletionDates && <div className="chart-note">No completion dates yet</div>}
+        </div>
+        <div className="summary-card summary-trend">
+          <div className="summary-title">Finished per Week</div>
+          <LineChart
+            title="Tasks finished per week"
+            height={140}
+            showLegend={false}
+            labels={weeks.map((week) => formatWeekLabel(week.weekStart))}
+            series={[
+              { key: "completed", label: "Finished", color: STATUS_COLORS.Done, values: weeks.map((w) => w.completed) },
+            ]}
+          />
+          {!hasCompletionDates && (
+            <div className="chart-note">No completion dates yet. Tasks marked Done from now on are counted.</div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ProductivitySummary
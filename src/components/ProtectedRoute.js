@@ -1,12 +1,14 @@
 import React, { useContext } from 'react';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 
 const ProtectedRoute = ({ children, role }) => {
   const { user, isAuthenticated } = useContext(AuthContext);
+  const location = useLocation();
   
   if (!isAuthenticated) {
-    return <Navigate to="/login" />;
+    // Remember where the user was so Login can send them back
+    return <Navigate to="/login" state={{ from: location }} replace />;
   }
   
   if (role && user.role !== role) {
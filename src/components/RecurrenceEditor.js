@@ -0,0 +1,128 @@
+import { FREQUENCIES, WEEKDAY_LABELS } from "../utils/recurrence"
+
+// Recurrence fields inside TaskForm. `rule` is null for a one-off task.
+const RecurrenceEditor = ({ rule, onChange, dueDate }) => {
+  const update = (changes) => onChange({ ...rule, ...changes })
+
+  // Start from the due date so the defaults match what the user already picked
+  const enable = (checked) => {
+    if (!checked) {
+      onChange(null)
+      return
+    }
+    const due = dueDate ? new Date(`${dueDate}T00:00:00`) : new Date()
+    onChange({
+      frequency: "weekly",
+      weekdays: [due.getDay()],
+      monthDay: due.getDate(),
+      end: "never",
+      until: "",
+      count: 5,
+    })
+  }
+
+  const toggleWeekday = (day) => {
+    update({
+      weekdays: rule.weekdays.includes(day) ? rule.weekdays.filter((d) => d !== day) : [...rule.weekdays, day],
+    })
+  }
+
+  return (
+    <div className="recurrence-editor">
+      <label className="checkbox-label">
+        <input type="checkbox" checked={Boolean(rule)} onChange={(e) => enable(e.target.checked)} />
+        Repeat this task
+      </label>
+
+      {rule && (
+        <>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="recurrence-frequency">Repeats:</label>
+              <select
+                id="recurrence-frequency"
+                value={rule.frequency}
+                onChange={(e) => update({ frequency: e.target.value })}
+              >
+                {FREQUENCIES.map((frequency) => (
+                  <option key={frequency.value} value={frequency.value}>
+                    {frequency.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {rule.frequency === "monthly" && (
+              <div className="form-group">
+                <label htmlFor="recurrence-month-day">Day of month:</label>
+                <input
+                  type="number"
+                  id="recurrence-month-day"
+                  min="1"
+                  max="31"
+                  value={rule.monthDay}
+                  onChange={(e) => update({ monthDay: Number(e.target.value) })}
+                />
+              </div>
+            )}
+          </div>
+
+          {rule.frequency === "weekly" && (
+            <div className="weekday-picker" role="group" aria-label="Days of the week">
+              {WEEKDAY_LABELS.map((label, day) => (
+                <button
+                  key={label}
+                  type="button"
+                  onClick={() => toggleWeekday(day)}
+                  className={`filter-button ${rule.weekdays.includes(day) ? "active" : ""}`}
+                  aria-pressed={rule.weekdays.includes(day)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="recurrence-end">Ends:</label>
+              <select id="recurrence-end" value={rule.end} onChange={(e) => update({ end: e.target.value })}>
+                <option value="never">Never</option>
+                <option value="date">On a date</option>
+                <option value="count">After a number of times</option>
+              </select>
+            </div>
+
+            {rule.end === "date" && (
+              <div className="form-group">
+                <label htmlFor="recurrence-until">Last due date:</label>
+                <input
+                  type="date"
+                  id="recurrence-until"
+                  value={rule.until}
+                  min={dueDate || undefined}
+                  onChange={(e) => update({ until: e.target.value })}
+                />
+              </div>
+            )}
+
+            {rule.end === "count" && (
+              <div className="form-group">
+                <label htmlFor="recurrence-count">Occurrences:</label>
+                <input
+                  type="number"
+                  id="recurrence-count"
+                  min="1"
+                  value={rule.count}
+                  onChange={(e) => update({ count: Number(e.target.value) })}
+                />
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default RecurrenceEditor
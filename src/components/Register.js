@@ -1,7 +1,7 @@
 import { useState, useContext, useEffect } from "react"
 import { useNavigate, Link } from "react-router-dom"
 import { AuthContext } from "../context/AuthContext"
-import axios from "axios"
+import { authApi, departmentsApi } from "../services/api"
 
 const Register = () => {
   const [name, setName] = useState("")
@@ -19,8 +19,7 @@ const Register = () => {
   useEffect(() => {
     const fetchDepartments = async () => {
       try {
-        const response = await axios.get("https://employeetaskbackend.onrender.com/api/departments/public")
-        setDepartments(response.data)
+        setDepartments(await departmentsApi.getPublic())
       } catch (err) {
         console.error("Failed to fetch departments:", err)
         // Fallback to hardcoded departments if API fails
@@ -67,7 +66,7 @@ const Register = () => {
     setLoading(true)
 
     try {
-      const response = await axios.post("https://employeetaskbackend.onrender.com/api/auth/register", {
+      const userData = await authApi.register({
         name,
         email,
         password,
@@ -76,12 +75,12 @@ const Register = () => {
       })
 
       // Login the user with the returned data
-      login(response.data)
+      login(userData)
 
       // Redirect to the appropriate dashboard
       navigate("/employee-dashboard")
     } catch (err) {
-      setError(err.response?.data?.message || "Registration failed. Please try again.")
+      setError(err.message || "Registration failed. Please try again.")
     } finally {
       setLoading(false)
     }
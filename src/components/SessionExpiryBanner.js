@@ -0,0 +1,40 @@
+import { useState, useEffect, useContext } from "react"
+import { AuthContext } from "../context/AuthContext"
+
+const SessionExpiryBanner = () => {
+  const { sessionExpiresAt, showExpiryWarning, logout } = useContext(AuthContext)
+  const [now, setNow] = useState(Date.now())
+  const [dismissed, setDismissed] = useState(false)
+
+  useEffect(() => {
+    if (!showExpiryWarning) return
+
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [showExpiryWarning])
+
+  if (!showExpiryWarning || dismissed || !sessionExpiresAt) return null
+
+  const secondsLeft = Math.max(0, Math.round((sessionExpiresAt - now) / 1000))
+  const minutes = Math.floor(secondsLeft / 60)
+  const seconds = String(secondsLeft % 60).padStart(2, "0")
+
+  return (
+    <div className="session-expiry-banner" role="alert">
+      <span>
+        Your session expires in {minutes}:{seconds}. Log in again to keep working without interruption.
+      </span>
+      <div className="session-expiry-actions">
+        {/* ProtectedRoute sends the user to /login and back here afterwards */}
+        <button onClick={() => logout("expired")} className="edit-button">
+          Log in again
+        </button>
+        <button onClick={() => setDismissed(true)} className="close-button" title="Dismiss">
+          ×
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default SessionExpiryBanner
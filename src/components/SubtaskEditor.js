@@ -0,0 +1,93 @@
+import { useState } from "react"
+
+const SUBTASK_MAX_LENGTH = 100
+
+// Editable, ordered checklist used inside TaskForm; subtasks are { title, done }
+const SubtaskEditor = ({ subtasks, onChange }) => {
+  const [newTitle, setNewTitle] = useState("")
+
+  const addSubtask = () => {
+    if (!newTitle.trim()) return
+    onChange([...subtasks, { title: newTitle.trim(), done: false }])
+    setNewTitle("")
+  }
+
+  const updateSubtask = (index, changes) => {
+    onChange(subtasks.map((subtask, i) => (i === index ? { ...subtask, ...changes } : subtask)))
+  }
+
+  const moveSubtask = (index, offset) => {
+    const target = index + offset
+    if (target < 0 || target >= subtasks.length) return
+    const reordered = [...subtasks]
+    ;[reordered[index], reordered[target]] = [reordered[target], reordered[index]]
+    onChange(reordered)
+  }
+
+  const removeSubtask = (index) => {
+    onChange(subtasks.filter((_, i) => i !== index))
+  }
+
+  return (
+    <div className="subtask-editor">
+      {subtasks.length > 0 && (
+        <ul className="subtask-list">
+          {subtasks.map((subtask, index) => (
+            <li key={index} className="subtask-row">
+              <input
+                type="checkbox"
+                checked={subtask.done}
+                onChange={(e) => updateSubtask(index, { done: e.target.checked })}
+                aria-label={`Mark "${subtask.title}" done`}
+              />
+              <input
+                type="text"
+                value={subtask.title}
+                maxLength={SUBTASK_MAX_LENGTH}
+                onChange={(e) => updateSubtask(index, { title: e.target.value })}
+                aria-label={`Subtask ${index + 1}`}
+              />
+              <button type="button" onClick={() => moveSubtask(index, -1)} disabled={index === 0} title="Move up">
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => moveSubtask(index, 1)}
+                disabled={index === subtasks.length - 1}
+                title="Move down"
+              >
+                ↓
+              </button>
+              <button type="button" onClick={() => removeSubtask(index)} className="subtask-remove" title="Remove">
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="subtask-add">
+        <input
+          type="text"
+          value={newTitle}
+          maxLength={SUBTASK_MAX_LENGTH}
+          placeholder="Add a checklist item..."
+          onChange={(e) => setNewTitle(e.target.value)}
+          onKeyDown={(e) => {
+            // Enter adds the item instead of submitting the whole task form
+            if (e.key === "Enter") {
+              e.preventDefault()
+              addSubtask()
+            }
+          }}
+          aria-label="New checklist item"
+        />
+        <button type="button" onClick={addSubtask} className="edit-button">
+          Add
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default SubtaskEditor
@@ -0,0 +1,189 @@
+import { useState, useEffect, useContext, useRef } from "react"
+import { saveAs } from "file-saver"
+import { AuthContext } from "../context/AuthContext"
+import { attachmentsApi } from "../services/api"
+import {
+  ATTACHMENT_ACCEPT,
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_TASK,
+  formatFileSize,
+  validateAttachment,
+  isPreviewable,
+} from "../utils/attachments"
+import AttachmentPreview from "./AttachmentPreview"
+
+const formatTimestamp = (dateString) => new Date(dateString).toLocaleString()
+
+// List, upload, preview and delete the files on one task.
+// onCountChange receives the number of attachments whenever it is loaded or changes.
+const TaskAttachments = ({ taskId, onCountChange }) => {
+  const { user } = useContext(AuthContext)
+  const [attachments, setAttachments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState("")
+  const [uploadProgress, setUploadProgress] = useState(null)
+  const [previewing, setPreviewing] = useState(null)
+  const [confirmingDeleteId, setConfirmingDeleteId] = useState(null)
+  const fileInputRef = useRef(null)
+
+  useEffect(() => {
+    const fetchAttachments = async () => {
+      try {
+        setAttachments(await attachmentsApi.getAll(taskId))
+      } catch (err) {
+        setError(`Failed to load attachments: ${err.message}`)
+      }
+      setLoading(false)
+    }
+
+    fetchAttachments()
+  }, [taskId])
+
+  useEffect(() => {
+    if (!loading && onCountChange) onCountChange(attachments.length)
+  }, [attachments, loading, onCountChange])
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files)
+    e.target.value = ""
+    setError("")
+
+    if (attachments.length + files.length > MAX_ATTACHMENTS_PER_TASK) {
+      setError(`A task can have at most ${MAX_ATTACHMENTS_PER_TASK} attachments`)
+      return
+    }
+    const validationError = files.map(validateAttachment).find(Boolean)
+    if (validationError) {
+      setError(validationError)
+      return
+    }
+
+    // One at a time, so the progress bar describes a single file
+    for (const file of files) {
+      setUploadProgress({ filename: file.name, percent: 0 })
+      try {
+        const uploaded = await attachmentsApi.upload(taskId, file, (percent) =>
+          setUploadProgress({ filename: file.name, percent }),
+        )
+        setAttachments((prev) => [...prev, uploaded])
+      } catch (err) {
+        setError(`Failed to upload ${file.name}: ${err.message}`)
+        break
+      }
+    }
+    setUploadProgress(null)
+  }
+
+  const handleDownload = async (attachment) => {
+    setError("")
+    try {
+      const blob = await attachmentsApi.download(taskId, attachment._id)
+      saveAs(new Blob([blob], { type: attachment.mimeType }), attachment.filename)
+    } catch (err) {
+      setError(`Failed to download ${attachment.filename}: ${err.message}`)
+    }
+  }
+
+  const handleDelete = async (attachment) => {
+    setError("")
+    try {
+      await attachmentsApi.remove(taskId, attachment._id)
+      setAttachments((prev) => prev.filter((a) => a._id !== attachment._id))
+      setConfirmingDeleteId(null)
+    } catch (err) {
+      setError(`Failed to delete ${attachment.filename}: ${err.message}`)
+    }
+  }
+
+  return (
+    <div className="task-attachments">
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <div className="comments-empty">Loading attachments...</div>
+      ) : attachments.length === 0 ? (
+        <div className="comments-empty">No attachments yet</div>
+      ) : (
+        <ul className="attachment-list">
+          {attachments.map((attachment) => {
+            const canDelete = attachment.uploadedBy?._id === user.id || user.role === "admin"
+
+            return (
+              <li key={attachment._id} className="attachment">
+                <button
+                  type="button"
+                  onClick={() =>
+                    isPreviewable(attachment.mimeType) ? setPreviewing(attachment) : handleDownload(attachment)
+                  }
+                  className="link-button attachment-name"
+                >
+                  {attachment.filename}
+                </button>
+                <span className="time-entry-meta">
+                  {formatFileSize(attachment.size)} · {attachment.uploadedBy?.name || "Unknown"} ·{" "}
+                  {formatTimestamp(attachment.createdAt)}
+                </span>
+                <span className="comment-actions">
+                  <button type="button" onClick={() => handleDownload(attachment)} className="link-button">
+                    Download
+                  </button>
+                  {canDelete &&
+                    (confirmingDeleteId === attachment._id ? (
+                      <>
+                        <span className="confirm-text">Delete this file?</span>
+                        <button type="button" onClick={() => handleDelete(attachment)} className="link-button">
+                          Confirm
+                        </button>
+                        <button type="button" onClick={() => setConfirmingDeleteId(null)} className="link-button">
+                          Cancel
+                        </button>
+                      </>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => setConfirmingDeleteId(attachment._id)}
+                        className="link-button"
+                      >
+                        Delete
+                      </button>
+                    ))}
+                </span>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      {uploadProgress ? (
+        <div className="upload-progress">
+          <span>Uploading {uploadProgress.filename}…</span>
+          <div className="completion-bar">
+            <div className="completion-bar-fill" style={{ width: `${uploadProgress.percent}%` }} />
+          </div>
+        </div>
+      ) : (
+        <>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ATTACHMENT_ACCEPT}
+            multiple
+            onChange={handleFiles}
+            className="visually-hidden-input"
+            aria-label="Choose files to attach"
+          />
+          <button type="button" onClick={() => fileInputRef.current.click()} className="edit-button">
+            Attach files
+          </button>
+          <span className="attachment-limits">
+            Images, PDF, Word, Excel, text or CSV up to {formatFileSize(MAX_ATTACHMENT_BYTES)}
+          </span>
+        </>
+      )}
+
+      {previewing && <AttachmentPreview taskId={taskId} attachment={previewing} onClose={() => setPreviewing(null)} />}
+    </div>
+  )
+}
+
+export default TaskAttachments
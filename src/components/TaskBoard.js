@@ -0,0 +1,116 @@
+import { useState } from "react"
+import TaskItem from "./TaskItem"
+import { TASK_STATUSES, getStatusClass, isOverdue } from "../utils/tasks"
+import useWindowedList from "../hooks/useWindowedList"
+
+// Each column renders at most MAX_PAGES pages of PAGE_SIZE cards at once
+const PAGE_SIZE = 20
+const MAX_PAGES = 3
+
+const BoardColumn = ({ tasks, filterKey, children }) => {
+  const { visibleItems, start, end, hasPrevious, hasNext, showPrevious, showNext, topRef, bottomRef } = useWindowedList(
+    tasks,
+    { pageSize: PAGE_SIZE, maxPages: MAX_PAGES, resetKey: filterKey },
+  )
+
+  const range = `${start + 1}–${end} of ${tasks.length}`
+
+  return (
+    <div className="board-column-body">
+      {tasks.length === 0 && <div className="board-column-empty">No tasks</div>}
+      {hasPrevious && (
+        <div ref={topRef} className="load-more">
+          <span>{range}</span>
+          <button onClick={showPrevious} className="filter-button">
+            Show previous
+          </button>
+        </div>
+      )}
+      {visibleItems.map(children)}
+      {hasNext && (
+        <div ref={bottomRef} className="load-more">
+          <span>{range}</span>
+          <button onClick={showNext} className="filter-button">
+            Load more
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// filterKey changes whenever the parent's filters do, which starts every column from the top again
+const TaskBoard = ({ tasks, filterKey = "", allTasks = tasks, onStatusChange, showEmployeeInfo = false }) => {
+  const [draggedTaskId, setDraggedTaskId] = useState(null)
+  const [dragOverStatus, setDragOverStatus] = useState(null)
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.setData("text/plain", task._id)
+    e.dataTransfer.effectAllowed = "move"
+    setDraggedTaskId(task._id)
+  }
+
+  const handleDragEnd = () => {
+    setDraggedTaskId(null)
+    setDragOverStatus(null)
+  }
+
+  const handleDragOver = (e, status) => {
+    if (!draggedTaskId) return
+    e.preventDefault()
+    e.dataTransfer.dropEffect = "move"
+    if (dragOverStatus !== status) setDragOverStatus(status)
+  }
+
+  const handleDrop = (e, status) => {
+    e.preventDefault()
+    const taskId = e.dataTransfer.getData("text/plain") || draggedTaskId
+    const task = tasks.find((t) => t._id === taskId)
+
+    handleDragEnd()
+    if (task && task.status !== status) {
+      onStatusChange(taskId, status)
+    }
+  }
+
+  return (
+    <div className="task-board">
+      {TASK_STATUSES.map((status) => {
+        const columnTasks = tasks.filter((task) => task.status === status)
+        const overdueCount = columnTasks.filter(isOverdue).length
+
+        return (
+          <div
+            key={status}
+            className={`board-column ${dragOverStatus === status ? "drag-over" : ""}`}
+            onDragOver={(e) => handleDragOver(e, status)}
+            onDragLeave={() => setDragOverStatus(null)}
+            onDrop={(e) => handleDrop(e, status)}
+          >
+            <div className="board-column-header">
+              <span className={`task-status ${getStatusClass(status)}`}>{status}</span>
+              <span className="board-column-count">{columnTasks.length}</span>
+              {overdueCount > 0 && <span className="overdue-badge">{overdueCount} overdue</span>}
+            </div>
+
+            <BoardColumn tasks={columnTasks} filterKey={filterKey}>
+              {(task) => (
+                <div
+                  key={task._id}
+                  className={`board-card ${draggedTaskId === task._id ? "dragging" : ""}`}
+                  draggable={Boolean(onStatusChange) && !task.saving}
+                  onDragStart={(e) => handleDragStart(e, task)}
+                  onDragEnd={handleDragEnd}
+                >
+                  <TaskItem task={task} showEmployeeInfo={showEmployeeInfo} allTasks={allTasks} />
+                </div>
+              )}
+            </BoardColumn>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default TaskBoard
@@ -0,0 +1,161 @@
+import { useState, useEffect, useContext } from "react"
+import { AuthContext } from "../context/AuthContext"
+import { commentsApi } from "../services/api"
+
+const COMMENT_MAX_LENGTH = 500
+
+const formatTimestamp = (dateString) => new Date(dateString).toLocaleString()
+
+// onCountChange receives the number of comments whenever they are loaded or change.
+const TaskComments = ({ taskId, onCountChange }) => {
+  const { user } = useContext(AuthContext)
+  const [comments, setComments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState("")
+  const [newComment, setNewComment] = useState("")
+  const [editingId, setEditingId] = useState(null)
+  const [editText, setEditText] = useState("")
+
+  useEffect(() => {
+    const fetchComments = async () => {
+      try {
+        setComments(await commentsApi.getAll(taskId))
+      } catch (err) {
+        setError(`Failed to load comments: ${err.message}`)
+      }
+      setLoading(false)
+    }
+
+    fetchComments()
+  }, [taskId])
+
+  useEffect(() => {
+    if (!loading && onCountChange) onCountChange(comments.length)
+  }, [comments, loading, onCountChange])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!newComment.trim()) return
+    setError("")
+
+    try {
+      const created = await commentsApi.create(taskId, newComment.trim())
+      setComments((prev) => [...prev, created])
+      setNewComment("")
+    } catch (err) {
+      setError(`Failed to post comment: ${err.message}`)
+    }
+  }
+
+  const handleUpdate = async (e) => {
+    e.preventDefault()
+    if (!editText.trim()) return
+    setError("")
+
+    try {
+      const updated = await commentsApi.update(taskId, editingId, editText.trim())
+      setComments((prev) => prev.map((comment) => (comment._id === editingId ? updated : comment)))
+      setEditingId(null)
+    } catch (err) {
+      setError(`Failed to update comment: ${err.message}`)
+    }
+  }
+
+  const handleDelete = async (commentId) => {
+    setError("")
+    try {
+      await commentsApi.remove(taskId, commentId)
+      setComments((prev) => prev.filter((comment) => comment._id !== commentId))
+    } catch (err) {
+      setError(`Failed to delete comment: ${err.message}`)
+    }
+  }
+
+  return (
+    <div className="task-comments">
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <div className="comments-empty">Loading comments...</div>
+      ) : comments.length === 0 ? (
+        <div className="comments-empty">No comments yet</div>
+      ) : (
+        <ul className="comment-list">
+          {comments.map((comment) => {
+            const isOwn = comment.author?._id === user.id
+
+            return (
+              <li key={comment._id} className="comment">
+                <div className="comment-header">
+                  <span className="comment-author">{comment.author?.name || "Unknown"}</span>
+                  <span className={`comment-role role-${comment.author?.role}`}>
+                    {comment.author?.role === "admin" ? "Admin" : "Employee"}
+                  </span>
+                  <span className="comment-time">
+                    {formatTimestamp(comment.createdAt)}
+                    {comment.updatedAt && comment.updatedAt !== comment.createdAt && " (edited)"}
+                  </span>
+                </div>
+
+                {editingId === comment._id ? (
+                  <form onSubmit={handleUpdate} className="comment-form">
+                    <textarea
+                      value={editText}
+                      onChange={(e) => setEditText(e.target.value)}
+                      maxLength={COMMENT_MAX_LENGTH}
+                      rows="2"
+                      aria-label="Edit comment"
+                    />
+                    <div className="task-actions">
+                      <button type="submit" className="edit-button">
+                        Save
+                      </button>
+                      <button type="button" onClick={() => setEditingId(null)} className="cancel-button">
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <div className="comment-text">{comment.text}</div>
+                )}
+
+                {isOwn && editingId !== comment._id && (
+                  <div className="comment-actions">
+                    <button
+                      onClick={() => {
+                        setEditingId(comment._id)
+                        setEditText(comment.text)
+                      }}
+                      className="link-button"
+                    >
+                      Edit
+                    </button>
+                    <button onClick={() => handleDelete(comment._id)} className="link-button">
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="comment-form">
+        <textarea
+          value={newComment}
+          onChange={(e) => setNewComment(e.target.value)}
+          placeholder="Write a comment..."
+          maxLength={COMMENT_MAX_LENGTH}
+          rows="2"
+          aria-label="New comment"
+        />
+        <button type="submit" className="edit-button" disabled={!newComment.trim()}>
+          Post
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default TaskComments
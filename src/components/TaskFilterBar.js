@@ -0,0 +1,59 @@
+import { TASK_STATUSES, TASK_PRIORITIES, EMPTY_FILTERS, hasActiveFilters } from "../utils/tasks"
+
+const TaskFilterBar = ({ filters, onChange }) => {
+  const toggleValue = (key, value) => {
+    const values = filters[key]
+    onChange({
+      ...filters,
+      [key]: values.includes(value) ? values.filter((v) => v !== value) : [...values, value],
+    })
+  }
+
+  const renderChip = (key, value) => {
+    const active = filters[key].includes(value)
+    return (
+      <button
+        key={value}
+        type="button"
+        className={`filter-button ${active ? "active" : ""}`}
+        aria-pressed={active}
+        onClick={() => toggleValue(key, value)}
+      >
+        {value}
+      </button>
+    )
+  }
+
+  return (
+    <div className="task-filters">
+      <div className="filter-group">
+        <span className="filter-label">Status:</span>
+        {TASK_STATUSES.map((status) => renderChip("statuses", status))}
+      </div>
+
+      <div className="filter-group">
+        <span className="filter-label">Priority:</span>
+        {TASK_PRIORITIES.map((priority) => renderChip("priorities", priority))}
+      </div>
+
+      <div className="filter-group">
+        <button
+          type="button"
+          className={`filter-button overdue-filter ${filters.overdue ? "active" : ""}`}
+          aria-pressed={filters.overdue}
+          onClick={() => onChange({ ...filters, overdue: !filters.overdue })}
+        >
+          Overdue
+        </button>
+
+        {hasActiveFilters(filters) && (
+          <button type="button" className="clear-filters-btn" onClick={() => onChange(EMPTY_FILTERS)}>
+            Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default TaskFilterBar
@@ -1,12 +1,35 @@
 import React, { useState } from 'react';
+import SubtaskEditor from './SubtaskEditor';
+import RecurrenceEditor from './RecurrenceEditor';
+import AttachmentPicker from './AttachmentPicker';
+import TaskAttachments from './TaskAttachments';
+import DependencyPicker from './DependencyPicker';
+import { statusAfterChecklistChange } from '../utils/tasks';
+import { newSeriesId, validateRecurrence } from '../utils/recurrence';
+import { getBlockerIds, validateDependencies, blockedTransitionError } from '../utils/dependencies';
+import { isTaskFieldSupported } from '../services/taskFields';
 
-const TaskForm = ({ onSubmit, initialData = {} }) => {
+// allTasks enables the "Blocked by" picker and is the graph checked for cycles
+const TaskForm = ({ onSubmit, initialData = {}, employees = null, allTasks = null }) => {
   const [title, setTitle] = useState(initialData.title || '');
   const [description, setDescription] = useState(initialData.description || '');
   const [status, setStatus] = useState(initialData.status || 'To Do');
   const [dueDate, setDueDate] = useState(initialData.dueDate ? initialData.dueDate.substring(0, 10) : '');
   const [priority, setPriority] = useState(initialData.priority || 'Medium');
+  const [employeeId, setEmployeeId] = useState(initialData.employee?._id || initialData.employeeId || '');
+  const [subtasks, setSubtasks] = useState(initialData.subtasks || []);
+  const [autoReview, setAutoReview] = useState(initialData.autoReview || false);
+  const [recurrence, setRecurrence] = useState(initialData.recurrence || null);
+  const [estimatedHours, setEstimatedHours] = useState(initialData.estimatedHours ?? '');
+  const [blockedBy, setBlockedBy] = useState(initialData.blockedBy || []);
+  // Files for a new task, handed to onSubmit to upload once the task exists
+  const [files, setFiles] = useState([]);
   const [error, setError] = useState('');
+  // Sections for fields the backend has been seen to drop are hidden (see services/taskFields.js)
+  const showEstimate = isTaskFieldSupported('estimatedHours');
+  const showChecklist = isTaskFieldSupported('subtasks');
+  const showDependencies = Boolean(allTasks) && isTaskFieldSupported('blockedBy');
+  const showRecurrence = isTaskFieldSupported('recurrence');
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -16,16 +39,58 @@ const TaskForm = ({ onSubmit, initialData = {} }) => {
       setError('Title is required');
       return;
     }
+
+    if (employees && !employeeId) {
+      setError('Please select an employee');
+      return;
+    }
+    
+    if (estimatedHours !== '' && !(Number(estimatedHours) >= 0)) {
+      setError('Estimated hours must be zero or more');
+      return;
+    }
+    
+    const recurrenceError = recurrence ? validateRecurrence(recurrence) : '';
+    if (recurrenceError) {
+      setError(recurrenceError);
+      return;
+    }
+    
+    if (allTasks) {
+      const dependencyError = validateDependencies(initialData._id, getBlockerIds({ blockedBy }), allTasks)
+        || blockedTransitionError({ ...initialData, title }, { status, blockedBy }, allTasks);
+      if (dependencyError) {
+        setError(dependencyError);
+        return;
+      }
+    }
+    
+    const checklist = subtasks
+      .filter(subtask => subtask.title.trim())
+      .map(subtask => ({ ...subtask, title: subtask.title.trim() }));
     
     const taskData = {
       title,
       description,
-      status,
+      status: statusAfterChecklistChange({ status, autoReview }, checklist),
       dueDate,
-      priority
+      priority,
+      subtasks: checklist,
+      autoReview,
+      estimatedHours: estimatedHours === '' ? null : Number(estimatedHours),
+      blockedBy: getBlockerIds({ blockedBy }),
+      // Every instance of a series shares its seriesId; the first one is occurrence 1
+      recurrence: recurrence
+        ? { ...recurrence, seriesId: recurrence.seriesId || newSeriesId(), occurrence: recurrence.occurrence || 1 }
+        : null
     };
+
+    // Only admins get an employee picker; employees always create tasks for themselves
+    if (employees) {
+      taskData.employeeId = employeeId;
+    }
     
-    const result = await onSubmit(taskData);
+    const result = await onSubmit(taskData, files);
     
     if (result.success) {
       // Reset form if it's a new task (not editing)
@@ -35,6 +100,13 @@ const TaskForm = ({ onSubmit, initialData = {} }) => {
         setStatus('To Do');
         setDueDate('');
         setPriority('Medium');
+        setEmployeeId('');
+        setSubtasks([]);
+        setAutoReview(false);
+        setRecurrence(null);
+        setEstimatedHours('');
+        setBlockedBy([]);
+        setFiles([]);
       }
     } else {
       setError(result.message || 'Failed to submit task');
@@ -45,6 +117,25 @@ const TaskForm = ({ onSubmit, initialData = {} }) => {
     <form onSubmit={handleSubmit} className="task-form">
       {error && <div className="error-message">{error}</div>}
       
+      {employees && (
+        <div className="form-group">
+          <label htmlFor="employeeId">Assign To:</label>
+          <select
+            id="employeeId"
+            value={employeeId}
+            onChange={(e) => setEmployeeId(e.target.value)}
+            required
+          >
+            <option value="">Select Employee</option>
+            {employees.map(employee => (
+              <option key={employee._id} value={employee._id}>
+                {employee.name} ({employee.department})
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      
       <div className="form-group">
         <label htmlFor="title">Title:</label>
         <input
@@ -96,14 +187,77 @@ const TaskForm = ({ onSubmit, initialData = {} }) => {
         </div>
       </div>
       
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="dueDate">Due Date:</label>
+          <input
+            type="date"
+            id="dueDate"
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+          />
+        </div>
+        
+        {showEstimate && (
+          <div className="form-group">
+            <label htmlFor="estimatedHours">Estimated Hours:</label>
+            <input
+              type="number"
+              id="estimatedHours"
+              value={estimatedHours}
+              min="0"
+              step="0.25"
+              onChange={(e) => setEstimatedHours(e.target.value)}
+            />
+          </div>
+        )}
+      </div>
+      
+      {showChecklist && (
+        <div className="form-group">
+          <label>Checklist:</label>
+          <SubtaskEditor subtasks={subtasks} onChange={setSubtasks} />
+          {subtasks.length > 0 && (
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={autoReview}
+                onChange={(e) => setAutoReview(e.target.checked)}
+              />
+              Move to Review when all items are checked
+            </label>
+          )}
+        </div>
+      )}
+      
+      {showDependencies && (
+        <div className="form-group">
+          <label>Blocked By:</label>
+          <DependencyPicker 
+            taskId={initialData._id} 
+            blockedBy={blockedBy} 
+            onChange={setBlockedBy} 
+            tasks={allTasks} 
+          />
+        </div>
+      )}
+      
+      {showRecurrence && (
+        <div className="form-group">
+          <label>Recurrence:</label>
+          <RecurrenceEditor rule={recurrence} onChange={setRecurrence} dueDate={dueDate} />
+        </div>
+      )}
+      
       <div className="form-group">
-        <label htmlFor="dueDate">Due Date:</label>
-        <input
-          type="date"
-          id="dueDate"
-          value={dueDate}
-          onChange={(e) => setDueDate(e.target.value)}
-        />
+        <label>Attachments:</label>
+        {initialData.saving || initialData.pendingSync ? (
+          <div className="comments-empty">Files can be attached once this task has been saved</div>
+        ) : initialData._id ? (
+          <TaskAttachments taskId={initialData._id} />
+        ) : (
+          <AttachmentPicker files={files} onChange={setFiles} />
+        )}
       </div>
       
       <button type="submit" className="submit-button">
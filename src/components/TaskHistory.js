@@ -0,0 +1,50 @@
+import { useState, useEffect } from "react"
+import { historyApi } from "../services/api"
+import { describeHistoryEntry } from "../utils/history"
+
+const formatTimestamp = (dateString) => new Date(dateString).toLocaleString()
+
+// Read-only timeline of changes to one task, oldest first. tasks names blockers in dependency changes.
+const TaskHistory = ({ taskId, tasks = [] }) => {
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState("")
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        setEntries(await historyApi.getForTask(taskId))
+      } catch (err) {
+        setError(`Failed to load history: ${err.message}`)
+      }
+      setLoading(false)
+    }
+
+    fetchHistory()
+  }, [taskId])
+
+  if (error) return <div className="error-message">{error}</div>
+
+  return (
+    <div className="task-history">
+      {loading ? (
+        <div className="comments-empty">Loading history...</div>
+      ) : entries.length === 0 ? (
+        <div className="comments-empty">No changes recorded yet</div>
+      ) : (
+        <ul className="history-timeline">
+          {entries.map((entry) => (
+            <li key={entry._id} className={`history-entry history-${entry.action}`}>
+              <div className="history-change">{describeHistoryEntry(entry, tasks)}</div>
+              <div className="history-meta">
+                {entry.changedBy?.name || "Unknown user"} · {formatTimestamp(entry.createdAt)}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default TaskHistory
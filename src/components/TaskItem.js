@@ -1,36 +1,95 @@
-import React from 'react';
+import React, { useState, useEffect, useContext } from 'react';
+import { Link } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import { getPriorityClass, getStatusClass, isOverdue, checklistProgress, statusAfterChecklistChange, getTaskOwnerId } from '../utils/tasks';
+import { describeRecurrence } from '../utils/recurrence';
+import { getBlockers } from '../utils/dependencies';
+import { formatDuration, loggedMinutes, estimatedMinutes, isOverEstimate } from '../utils/timeTracking';
+import TaskComments from './TaskComments';
+import TaskHistory from './TaskHistory';
+import TaskTimer from './TaskTimer';
+import TaskTimeLog from './TaskTimeLog';
+import TaskAttachments from './TaskAttachments';
 
-const TaskItem = ({ task, onEdit, onDelete, showEmployeeInfo }) => {
-  const formatDate = (dateString) => {
-    if (!dateString) return 'No date set';
-    const date = new Date(dateString);
-    return date.toLocaleDateString();
-  };
+// How long a task changed by someone else keeps its "updated just now" badge
+const LIVE_UPDATE_BADGE_MS = 30 * 1000;
+
+const TaskItem = ({ task, onEdit, onDelete, onQuickUpdate, onTimeLogged, showEmployeeInfo, allTasks = [] }) => {
+  const { user } = useContext(AuthContext);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  // Which expandable section below the task is open, if any
+  const [activePanel, setActivePanel] = useState(null);
+  const [showLiveBadge, setShowLiveBadge] = useState(false);
+  // Kept locally so changes in the Comments and Attachments panels update the tab labels straight away
+  const [commentCount, setCommentCount] = useState(task.commentCount || 0);
+  const [attachmentCount, setAttachmentCount] = useState(task.attachmentCount || 0);
+  const [checklistError, setChecklistError] = useState('');
   
-  const getPriorityClass = (priority) => {
-    switch(priority) {
-      case 'Low': return 'priority-low';
-      case 'Medium': return 'priority-medium';
-      case 'High': return 'priority-high';
-      case 'Urgent': return 'priority-urgent';
-      default: return '';
-    }
+  useEffect(() => {
+    setCommentCount(task.commentCount || 0);
+  }, [task.commentCount]);
+  
+  useEffect(() => {
+    setAttachmentCount(task.attachmentCount || 0);
+  }, [task.attachmentCount]);
+  
+  useEffect(() => {
+    const remaining = task.liveUpdatedAt ? task.liveUpdatedAt + LIVE_UPDATE_BADGE_MS - Date.now() : 0;
+    setShowLiveBadge(remaining > 0);
+    if (remaining <= 0) return;
+    
+    const timer = setTimeout(() => setShowLiveBadge(false), remaining);
+    return () => clearTimeout(timer);
+  }, [task.liveUpdatedAt]);
+
+  const togglePanel = (panel) => {
+    setActivePanel(activePanel === panel ? null : panel);
   };
   
-  const getStatusClass = (status) => {
-    switch(status) {
-      case 'To Do': return 'status-todo';
-      case 'In Progress': return 'status-progress';
-      case 'Review': return 'status-review';
-      case 'Done': return 'status-done';
-      default: return '';
+  // Only the assignee tracks time, and only on tasks the server already knows about
+  const canTrackTime = Boolean(onTimeLogged) && getTaskOwnerId(task) === user.id && !task.saving && !task.pendingSync;
+  // Comments, history, files and time all hang off the id the server assigns, which a task still
+  // being saved or synced doesn't have yet
+  const showPanels = !task.saving && !task.pendingSync;
+  const hasTime = loggedMinutes(task) > 0 || estimatedMinutes(task) > 0;
+  
+  const blockers = getBlockers(task, allTasks);
+  const blocked = task.status !== 'Done' && blockers.some(blocker => blocker.status !== 'Done');
+  
+  const subtasks = task.subtasks || [];
+  const progress = checklistProgress(subtasks);
+  
+  // A refused toggle (e.g. a blocked task that would move to Review) is shown under the checklist
+  const toggleSubtask = async (index) => {
+    const updatedSubtasks = subtasks.map((subtask, i) => 
+      i === index ? { ...subtask, done: !subtask.done } : subtask
+    );
+    setChecklistError('');
+    const result = await onQuickUpdate({
+      subtasks: updatedSubtasks,
+      status: statusAfterChecklistChange(task, updatedSubtasks)
+    });
+    if (result && !result.success) {
+      setChecklistError(result.message || 'Failed to update the checklist');
     }
   };
 
+  const formatDate = (dateString) => {
+    if (!dateString) return 'No date set';
+    const date = new Date(dateString);
+    return date.toLocaleDateString();
+  };
+  
   return (
-    <div className={`task-item ${getPriorityClass(task.priority)}`}>
+    <div className={`task-item ${getPriorityClass(task.priority)} ${showLiveBadge ? 'live-updated' : ''} ${task.saving ? 'saving' : ''}`}>
       <div className="task-header">
-        <h4>{task.title}</h4>
+        <h4>
+          {task.title}
+          {showLiveBadge && <span className="live-updated-badge">updated just now</span>}
+          {task.pendingSync && <span className="pending-sync-badge">Pending sync</span>}
+          {task.saving && <span className="saving-badge">Saving…</span>}
+          {blocked && <span className="blocked-badge">Blocked</span>}
+        </h4>
         <div className={`task-status ${getStatusClass(task.status)}`}>
           {task.status}
         </div>
@@ -38,7 +97,13 @@ const TaskItem = ({ task, onEdit, onDelete, showEmployeeInfo }) => {
       
       {showEmployeeInfo && task.employee && (
         <div className="employee-info">
-          <span className="employee-name">{task.employee.name}</span>
+          <Link 
+            to={`/admin/employees/${task.employee._id}`} 
+            state={{ employee: task.employee }} 
+            className="employee-name"
+          >
+            {task.employee.name}
+          </Link>
           <span className="employee-department">{task.employee.department}</span>
         </div>
       )}
@@ -47,37 +112,151 @@ const TaskItem = ({ task, onEdit, onDelete, showEmployeeInfo }) => {
         <div className="task-description">{task.description}</div>
       )}
       
+      {blockers.length > 0 && (
+        <div className="task-blockers">
+          <span>Blocked by:</span>
+          {blockers.map(blocker => (
+            <span key={blocker._id} className={`blocker-chip ${blocker.status === 'Done' ? 'resolved' : ''}`}>
+              {blocker.title} ({blocker.status})
+            </span>
+          ))}
+        </div>
+      )}
+      
+      {progress.total > 0 && (
+        <div className="task-checklist">
+          <div className="checklist-progress">
+            <div className="completion-bar">
+              <div 
+                className="completion-bar-fill" 
+                style={{ width: `${(progress.done / progress.total) * 100}%` }} 
+              />
+            </div>
+            <span>{progress.done}/{progress.total} done</span>
+          </div>
+          <ul className="checklist-items">
+            {subtasks.map((subtask, index) => (
+              <li key={index} className={subtask.done ? 'checked' : ''}>
+                <label>
+                  <input 
+                    type="checkbox" 
+                    checked={subtask.done} 
+                    onChange={() => toggleSubtask(index)}
+                    disabled={!onQuickUpdate || task.saving}
+                  />
+                  {subtask.title}
+                </label>
+              </li>
+            ))}
+          </ul>
+          {checklistError && <div className="error-message">{checklistError}</div>}
+        </div>
+      )}
+      
       <div className="task-footer">
         <div className="task-meta">
           <span className="task-due-date">
             Due: {formatDate(task.dueDate)}
+            {isOverdue(task) && <span className="overdue-badge">Overdue</span>}
           </span>
           <span className="task-created">
             Created: {formatDate(task.createdAt)}
           </span>
+          {hasTime && (
+            <span className={`task-time ${isOverEstimate(task) ? 'over-estimate' : ''}`}>
+              Time: {formatDuration(loggedMinutes(task))}
+              {estimatedMinutes(task) > 0 && ` / ${formatDuration(estimatedMinutes(task))} est.`}
+            </span>
+          )}
+          {task.recurrence?.frequency && (
+            <span className="task-recurrence">↻ {describeRecurrence(task.recurrence)}</span>
+          )}
         </div>
         
+        {canTrackTime && (
+          <TaskTimer task={task} onTimeLogged={onTimeLogged} />
+        )}
+        
         {(onEdit || onDelete) && (
           <div className="task-actions">
             {onEdit && (
               <button 
                 onClick={onEdit}
                 className="edit-button"
+                disabled={task.saving}
               >
                 Edit
               </button>
             )}
-            {onDelete && (
+            {onDelete && !confirmingDelete && (
               <button 
-                onClick={onDelete}
+                onClick={() => setConfirmingDelete(true)}
                 className="delete-button"
+                disabled={task.saving}
               >
                 Delete
               </button>
             )}
+            {onDelete && confirmingDelete && (
+              <>
+                <span className="confirm-text">Delete this task?</span>
+                <button 
+                  onClick={onDelete}
+                  className="delete-button"
+                >
+                  Confirm
+                </button>
+                <button 
+                  onClick={() => setConfirmingDelete(false)}
+                  className="cancel-button"
+                >
+                  Cancel
+                </button>
+              </>
+            )}
           </div>
         )}
       </div>
+      
+      {showPanels && (
+        <>
+          <div className="task-panel-tabs">
+            <button 
+              onClick={() => togglePanel('comments')}
+              className={`link-button ${activePanel === 'comments' ? 'active' : ''}`}
+            >
+              Comments{commentCount ? ` (${commentCount})` : ''}
+            </button>
+            <button 
+              onClick={() => togglePanel('history')}
+              className={`link-button ${activePanel === 'history' ? 'active' : ''}`}
+            >
+              History
+            </button>
+            <button 
+              onClick={() => togglePanel('attachments')}
+              className={`link-button ${activePanel === 'attachments' ? 'active' : ''}`}
+            >
+              Attachments{attachmentCount ? ` (${attachmentCount})` : ''}
+            </button>
+            <button 
+              onClick={() => togglePanel('time')}
+              className={`link-button ${activePanel === 'time' ? 'active' : ''}`}
+            >
+              Time
+            </button>
+          </div>
+          
+          {activePanel === 'comments' && <TaskComments taskId={task._id} onCountChange={setCommentCount} />}
+          {activePanel === 'history' && <TaskHistory taskId={task._id} tasks={allTasks} />}
+          {activePanel === 'attachments' && (
+            <TaskAttachments taskId={task._id} onCountChange={setAttachmentCount} />
+          )}
+          {activePanel === 'time' && (
+            <TaskTimeLog taskId={task._id} canLog={canTrackTime} onTimeLogged={onTimeLogged} />
+          )}
+        </>
+      )}
     </div>
   );
 };
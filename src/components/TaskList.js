@@ -1,9 +1,69 @@
-import React, { useState } from 'react';
+import React, { useState, useContext, useMemo } from 'react';
+import { AuthContext } from '../context/AuthContext';
 import TaskItem from './TaskItem';
 import TaskForm from './TaskForm';
+import TaskSortControl from './TaskSortControl';
+import { DEFAULT_SORT, SORT_FIELDS, sortTasks } from '../utils/tasks';
+import useWindowedList from '../hooks/useWindowedList';
 
-const TaskList = ({ tasks, onUpdate, onDelete, isEmployee = false, showEmployeeInfo = false }) => {
+// At most MAX_PAGES pages of PAGE_SIZE tasks are rendered at once, however long the list is
+const PAGE_SIZE = 50;
+const MAX_PAGES = 3;
+
+// Sort choice is remembered per user across sessions
+const loadSort = (storageKey) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    if (saved && SORT_FIELDS.some(f => f.value === saved.field)) {
+      return { field: saved.field, direction: saved.direction === 'asc' ? 'asc' : 'desc' };
+    }
+  } catch (e) {
+    // Ignore unreadable values and fall back to the default
+  }
+  return DEFAULT_SORT;
+};
+
+// allTasks is the unfiltered list, used to resolve and pick blocking tasks.
+// filterKey changes whenever the parent's filters do, which starts the list from the top again.
+const TaskList = ({
+  tasks,
+  filterKey = '',
+  allTasks = tasks,
+  onUpdate,
+  onDelete,
+  onTimeLogged = null,
+  employees = null,
+  showEmployeeInfo = false
+}) => {
+  const { user } = useContext(AuthContext);
+  const sortStorageKey = `taskSort:${user.id}`;
   const [editingTaskId, setEditingTaskId] = useState(null);
+  const [sort, setSort] = useState(() => loadSort(sortStorageKey));
+  
+  // Employee name only makes sense where the list shows who owns each task
+  const activeSort = sort.field === 'employee' && !showEmployeeInfo ? DEFAULT_SORT : sort;
+  const sortedTasks = useMemo(() => sortTasks(tasks, activeSort), [tasks, activeSort]);
+  
+  const {
+    visibleItems: visibleTasks,
+    start,
+    end,
+    hasPrevious,
+    hasNext,
+    showPrevious,
+    showNext,
+    topRef,
+    bottomRef
+  } = useWindowedList(sortedTasks, {
+    pageSize: PAGE_SIZE,
+    maxPages: MAX_PAGES,
+    resetKey: `${filterKey}|${activeSort.field}|${activeSort.direction}`
+  });
+  
+  const handleSortChange = (newSort) => {
+    setSort(newSort);
+    localStorage.setItem(sortStorageKey, JSON.stringify(newSort));
+  };
   
   const handleEdit = (task) => {
     setEditingTaskId(task._id);
@@ -27,7 +87,20 @@ const TaskList = ({ tasks, onUpdate, onDelete, isEmployee = false, showEmployeeI
 
   return (
     <div className="task-list">
-      {tasks.map(task => (
+      <TaskSortControl 
+        sort={activeSort} 
+        onChange={handleSortChange} 
+        showEmployeeOption={showEmployeeInfo} 
+      />
+      {hasPrevious && (
+        <div ref={topRef} className="load-more">
+          <span>Showing tasks {start + 1}–{end} of {sortedTasks.length}</span>
+          <button onClick={showPrevious} className="filter-button">
+            Show previous
+          </button>
+        </div>
+      )}
+      {visibleTasks.map(task => (
         <div key={task._id} className="task-item-container">
           {editingTaskId === task._id ? (
             <div className="edit-task-form">
@@ -35,6 +108,8 @@ const TaskList = ({ tasks, onUpdate, onDelete, isEmployee = false, showEmployeeI
               <TaskForm 
                 initialData={task} 
                 onSubmit={handleUpdate} 
+                employees={employees}
+                allTasks={allTasks}
               />
               <button 
                 onClick={handleCancelEdit}
@@ -46,13 +121,24 @@ const TaskList = ({ tasks, onUpdate, onDelete, isEmployee = false, showEmployeeI
           ) : (
             <TaskItem 
               task={task}
-              onEdit={isEmployee ? () => handleEdit(task) : null}
-              onDelete={isEmployee ? () => onDelete(task._id) : null}
+              onEdit={onUpdate ? () => handleEdit(task) : null}
+              onDelete={onDelete ? () => onDelete(task._id) : null}
+              onQuickUpdate={onUpdate ? (changes) => onUpdate(task._id, changes) : null}
+              onTimeLogged={onTimeLogged ? (minutes) => onTimeLogged(task._id, minutes) : null}
               showEmployeeInfo={showEmployeeInfo}
+              allTasks={allTasks}
             />
           )}
         </div>
       ))}
+      {hasNext && (
+        <div ref={bottomRef} className="load-more">
+          <span>Showing tasks {start + 1}–{end} of {sortedTasks.length}</span>
+          <button onClick={showNext} className="filter-button">
+            Load more
+          </button>
+        </div>
+      )}
     </div>
   );
 };
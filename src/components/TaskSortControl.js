@@ -0,0 +1,32 @@
+import { SORT_FIELDS } from "../utils/tasks"
+
+const TaskSortControl = ({ sort, onChange, showEmployeeOption = false }) => {
+  const fields = showEmployeeOption ? SORT_FIELDS : SORT_FIELDS.filter((f) => f.value !== "employee")
+
+  return (
+    <div className="task-sort">
+      <label htmlFor="task-sort-field">Sort by:</label>
+      <select
+        id="task-sort-field"
+        value={sort.field}
+        onChange={(e) => onChange({ ...sort, field: e.target.value })}
+      >
+        {fields.map(({ value, label }) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        className="sort-direction-btn"
+        onClick={() => onChange({ ...sort, direction: sort.direction === "asc" ? "desc" : "asc" })}
+        title={sort.direction === "asc" ? "Ascending" : "Descending"}
+      >
+        {sort.direction === "asc" ? "↑ Asc" : "↓ Desc"}
+      </button>
+    </div>
+  )
+}
+
+export default TaskSortControl
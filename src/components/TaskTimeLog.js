@@ -0,0 +1,264 @@
+import { useState, useEffect, useContext } from "react"
+import { AuthContext } from "../context/AuthContext"
+import { timeEntriesApi } from "../services/api"
+import { MAX_ENTRY_MINUTES, formatDuration, hoursToMinutes } from "../utils/timeTracking"
+import { entryDateKey, weekKeyFor, isWeekLocked } from "../utils/timesheets"
+
+const NOTE_MAX_LENGTH = 200
+
+// Local calendar day as YYYY-MM-DD, for date inputs
+const today = () => {
+  const now = new Date()
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`
+}
+
+const EMPTY_ENTRY = { date: "", hours: "", note: "" }
+
+const validateEntry = ({ date, hours }) => {
+  const minutes = hoursToMinutes(hours)
+  if (!date) return "Date is required"
+  if (!(minutes > 0)) return "Enter the hours worked, e.g. 1.5"
+  if (minutes > MAX_ENTRY_MINUTES) return "A single entry cannot be more than 24 hours"
+  return ""
+}
+
+const LOCKED_WEEK_MESSAGE = "That week's timesheet is submitted or approved, so its hours can't be changed"
+
+const toPayload = ({ date, hours, note }) => ({ date, minutes: hoursToMinutes(hours), note: note.trim() })
+
+const EntryFields = ({ values, onChange }) => (
+  <>
+    <input
+      type="date"
+      value={values.date}
+      max={today()}
+      onChange={(e) => onChange({ ...values, date: e.target.value })}
+      aria-label="Date worked"
+    />
+    <input
+      type="number"
+      value={values.hours}
+      min="0"
+      step="0.25"
+      placeholder="Hours"
+      onChange={(e) => onChange({ ...values, hours: e.target.value })}
+      aria-label="Hours worked"
+    />
+    <input
+      type="text"
+      value={values.note}
+      maxLength={NOTE_MAX_LENGTH}
+      placeholder="Note (optional)"
+      onChange={(e) => onChange({ ...values, note: e.target.value })}
+      aria-label="Note"
+    />
+  </>
+)
+
+// Time entries for one task. canLog lets the assignee add entries by hand;
+// onTimeLogged receives the change in minutes so the task's total stays current.
+// Employees can't change their entries in weeks whose timesheet is submitted or approved. Admins can't
+// look up other people's timesheets here, so for them the backend's refusal is shown instead.
+const TaskTimeLog = ({ taskId, canLog, onTimeLogged }) => {
+  const { user } = useContext(AuthContext)
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState("")
+  const [newEntry, setNewEntry] = useState({ ...EMPTY_ENTRY, date: today() })
+  const [editingId, setEditingId] = useState(null)
+  const [editValues, setEditValues] = useState(EMPTY_ENTRY)
+  const [confirmingDeleteId, setConfirmingDeleteId] = useState(null)
+  // Week keys of the user's own entries whose timesheet is locked
+  const [lockedWeeks, setLockedWeeks] = useState([])
+
+  const checksLocks = user.role !== "admin"
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchEntries = async () => {
+      try {
+        const data = await timeEntriesApi.getAll(taskId)
+        if (cancelled) return
+        setEntries(data)
+        setLoading(false)
+
+        if (!checksLocks) return
+        const ownEntries = data.filter((entry) => entry.user?._id === user.id)
+        const weeks = [...new Set(ownEntries.map((entry) => weekKeyFor(entryDateKey(entry))))]
+        const locked = await Promise.all(weeks.map(isWeekLocked))
+        if (!cancelled) setLockedWeeks(weeks.filter((_, i) => locked[i]))
+      } catch (err) {
+        if (cancelled) return
+        setError(`Failed to load time entries: ${err.message}`)
+        setLoading(false)
+      }
+    }
+
+    fetchEntries()
+    return () => {
+      cancelled = true
+    }
+  }, [taskId, checksLocks, user.id])
+
+  const isEntryLocked = (entry) => lockedWeeks.includes(weekKeyFor(entryDateKey(entry)))
+
+  // Checked before saving, since the chosen date can fall in any week
+  const dateIsLocked = async (date) => checksLocks && (await isWeekLocked(date))
+
+  const reportChange = (minutes) => {
+    if (onTimeLogged && minutes) onTimeLogged(minutes)
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    const validationError = validateEntry(newEntry)
+    setError(validationError)
+    if (validationError) return
+
+    if (await dateIsLocked(newEntry.date)) {
+      setError(LOCKED_WEEK_MESSAGE)
+      return
+    }
+
+    try {
+      const created = await timeEntriesApi.create(taskId, { ...toPayload(newEntry), manual: true })
+      setEntries((prev) => [created, ...prev])
+      setNewEntry({ ...EMPTY_ENTRY, date: today() })
+      reportChange(created.minutes)
+    } catch (err) {
+      setError(`Failed to log time: ${err.message}`)
+    }
+  }
+
+  const startEdit = (entry) => {
+    setEditingId(entry._id)
+    setEditValues({
+      date: (entry.date || entry.startedAt || entry.createdAt).slice(0, 10),
+      hours: String(entry.minutes / 60),
+      note: entry.note || "",
+    })
+    setError("")
+  }
+
+  const handleUpdate = async (e) => {
+    e.preventDefault()
+    const validationError = validateEntry(editValues)
+    setError(validationError)
+    if (validationError) return
+
+    if (await dateIsLocked(editValues.date)) {
+      setError(LOCKED_WEEK_MESSAGE)
+      return
+    }
+
+    const previous = entries.find((entry) => entry._id === editingId)
+    try {
+      const updated = await timeEntriesApi.update(taskId, editingId, toPayload(editValues))
+      setEntries((prev) => prev.map((entry) => (entry._id === editingId ? updated : entry)))
+      setEditingId(null)
+      reportChange(updated.minutes - previous.minutes)
+    } catch (err) {
+      setError(`Failed to update time entry: ${err.message}`)
+    }
+  }
+
+  const handleDelete = async (entry) => {
+    setError("")
+    try {
+      await timeEntriesApi.remove(taskId, entry._id)
+      setEntries((prev) => prev.filter((e) => e._id !== entry._id))
+      setConfirmingDeleteId(null)
+      reportChange(-entry.minutes)
+    } catch (err) {
+      setError(`Failed to delete time entry: ${err.message}`)
+    }
+  }
+
+  const total = entries.reduce((sum, entry) => sum + entry.minutes, 0)
+
+  return (
+    <div className="task-time-log">
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <div className="comments-empty">Loading time entries...</div>
+      ) : entries.length === 0 ? (
+        <div className="comments-empty">No time logged yet</div>
+      ) : (
+        <>
+          <div className="time-log-total">Total: {formatDuration(total)}</div>
+          <ul className="time-entry-list">
+            {entries.map((entry) => {
+              const canEdit = entry.user?._id === user.id || user.role === "admin"
+              const locked = isEntryLocked(entry)
+
+              return editingId === entry._id ? (
+                <li key={entry._id} className="time-entry">
+                  <form onSubmit={handleUpdate} className="time-entry-form">
+                    <EntryFields values={editValues} onChange={setEditValues} />
+                    <button type="submit" className="edit-button">
+                      Save
+                    </button>
+                    <button type="button" onClick={() => setEditingId(null)} className="cancel-button">
+                      Cancel
+                    </button>
+                  </form>
+                </li>
+              ) : (
+                <li key={entry._id} className="time-entry">
+                  <span className="time-entry-duration">{formatDuration(entry.minutes)}</span>
+                  <span className="time-entry-meta">
+                    {new Date(entry.date || entry.startedAt || entry.createdAt).toLocaleDateString()} ·{" "}
+                    {entry.user?.name || "Unknown"} · {entry.manual ? "manual" : "timer"}
+                  </span>
+                  {entry.note && <span className="time-entry-note">{entry.note}</span>}
+                  {canEdit && locked && (
+                    <span className="time-entry-meta" title={LOCKED_WEEK_MESSAGE}>
+                      Locked
+                    </span>
+                  )}
+                  {canEdit && !locked && (
+                    <span className="comment-actions">
+                      {confirmingDeleteId === entry._id ? (
+                        <>
+                          <span className="confirm-text">Delete this entry?</span>
+                          <button onClick={() => handleDelete(entry)} className="link-button">
+                            Confirm
+                          </button>
+                          <button onClick={() => setConfirmingDeleteId(null)} className="link-button">
+                            Cancel
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <button onClick={() => startEdit(entry)} className="link-button">
+                            Edit
+                          </button>
+                          <button onClick={() => setConfirmingDeleteId(entry._id)} className="link-button">
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </span>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        </>
+      )}
+
+      {canLog && (
+        <form onSubmit={handleCreate} className="time-entry-form">
+          <EntryFields values={newEntry} onChange={setNewEntry} />
+          <button type="submit" className="edit-button">
+            Log time
+          </button>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default TaskTimeLog
@@ -0,0 +1,60 @@
+import { useState, useContext } from "react"
+import { TimerContext } from "../context/TimerContext"
+import { toDateKey, isWeekLocked } from "../utils/timesheets"
+import ElapsedTime from "./ElapsedTime"
+
+// Start/stop button on a task for its assignee. Only one task can be timed at a time.
+const TaskTimer = ({ task, onTimeLogged }) => {
+  const { activeTimer, stopping, startTimer, stopTimer } = useContext(TimerContext)
+  const [error, setError] = useState("")
+
+  const isRunning = activeTimer?.taskId === task._id
+
+  // The entry would land in this week, which the backend refuses once its timesheet is submitted
+  const handleStart = async () => {
+    setError("")
+    if (await isWeekLocked(toDateKey(new Date()))) {
+      setError("This week's timesheet has been submitted, so no more time can be logged this week")
+      return
+    }
+    startTimer(task)
+  }
+
+  const handleStop = async () => {
+    setError("")
+    try {
+      const result = await stopTimer()
+      if (result && onTimeLogged) onTimeLogged(result.minutes)
+    } catch (err) {
+      setError(`Failed to log time: ${err.message}`)
+    }
+  }
+
+  if (isRunning) {
+    return (
+      <div className="task-timer running">
+        <ElapsedTime startedAt={activeTimer.startedAt} />
+        <button onClick={handleStop} className="delete-button" disabled={stopping}>
+          {stopping ? "Saving..." : "Stop"}
+        </button>
+        {error && <span className="timer-error">{error}</span>}
+      </div>
+    )
+  }
+
+  return (
+    <div className="task-timer">
+      <button
+        onClick={handleStart}
+        className="edit-button"
+        disabled={Boolean(activeTimer)}
+        title={activeTimer ? `A timer is already running on "${activeTimer.title}"` : undefined}
+      >
+        Start timer
+      </button>
+      {error && <span className="timer-error">{error}</span>}
+    </div>
+  )
+}
+
+export default TaskTimer
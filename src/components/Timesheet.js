@@ -0,0 +1,243 @@
+import { useState, useEffect, useContext, useMemo } from "react"
+import { AuthContext } from "../context/AuthContext"
+import { tasksApi, timeEntriesApi, timesheetsApi } from "../services/api"
+import { startOfWeek } from "../utils/analytics"
+import { formatDuration } from "../utils/timeTracking"
+import {
+  TIMESHEET_STATUS_LABELS,
+  isTimesheetEditable,
+  toDateKey,
+  weekDays,
+  shiftWeek,
+  formatWeekRange,
+  buildTimesheetGrid,
+  planCellChange,
+} from "../utils/timesheets"
+import Navbar from "./Navbar"
+import TimesheetGrid from "./TimesheetGrid"
+
+const emptyRow = (task) => ({
+  taskId: task._id,
+  title: task.title,
+  days: Array(7).fill(0),
+  entries: Array.from({ length: 7 }, () => []),
+  total: 0,
+})
+
+const Timesheet = () => {
+  const { user } = useContext(AuthContext)
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()))
+  const [entries, setEntries] = useState([])
+  const [timesheet, setTimesheet] = useState(null)
+  const [tasks, setTasks] = useState([])
+  // Tasks added to the grid by hand that have no time this week yet
+  const [addedTaskIds, setAddedTaskIds] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState("")
+  const [confirmingSubmit, setConfirmingSubmit] = useState(false)
+
+  const days = useMemo(() => weekDays(weekStart), [weekStart])
+  const weekKey = toDateKey(weekStart)
+  const isCurrentWeek = weekKey === toDateKey(startOfWeek(new Date()))
+
+  useEffect(() => {
+    const fetchTasks = async () => {
+      try {
+        setTasks(await tasksApi.getByEmployee(user.id))
+      } catch (err) {
+        // The task picker is optional; the grid still works from time entries alone
+      }
+    }
+
+    fetchTasks()
+  }, [user])
+
+  useEffect(() => {
+    // Paging quickly through weeks can leave earlier requests in flight; only the last one counts
+    let cancelled = false
+
+    const fetchWeek = async () => {
+      setLoading(true)
+      setError("")
+      setEntries([])
+      setTimesheet(null)
+      setAddedTaskIds([])
+      setConfirmingSubmit(false)
+      try {
+        const [entriesData, timesheetData] = await Promise.all([
+          timeEntriesApi.search({ startDate: weekKey, endDate: toDateKey(days[6]) }),
+          timesheetsApi.getMine(weekKey).catch((err) => {
+            if (err.status === 404) return null
+            throw err
+          }),
+        ])
+        if (cancelled) return
+        setEntries(entriesData)
+        setTimesheet(timesheetData)
+      } catch (err) {
+        if (cancelled) return
+        setError(`Failed to load timesheet: ${err.message}`)
+      }
+      setLoading(false)
+    }
+
+    fetchWeek()
+    return () => {
+      cancelled = true
+    }
+  }, [weekKey, days])
+
+  const grid = useMemo(() => {
+    const built = buildTimesheetGrid(entries, weekStart)
+    const extraRows = addedTaskIds
+      .filter((id) => !built.rows.some((row) => row.taskId === id))
+      .map((id) => emptyRow(tasks.find((task) => task._id === id)))
+    return { ...built, rows: [...built.rows, ...extraRows] }
+  }, [entries, weekStart, addedTaskIds, tasks])
+
+  const editable = isTimesheetEditable(timesheet)
+  const availableTasks = tasks.filter((task) => !grid.rows.some((row) => row.taskId === task._id))
+
+  // Apply a cell edit as creates, updates and removals of that day's time entries. The week can't be
+  // changed while this runs (the navigation is disabled), so the results always belong to the week shown.
+  const handleCellChange = async (row, dayIndex, minutes) => {
+    setSaving(true)
+    setError("")
+    const task = { _id: row.taskId, title: row.title }
+
+    try {
+      for (const operation of planCellChange(row.entries[dayIndex], minutes)) {
+        if (operation.type === "create") {
+          const created = await timeEntriesApi.create(row.taskId, {
+            date: toDateKey(days[dayIndex]),
+            minutes: operation.minutes,
+            note: "Added from timesheet",
+            manual: true,
+          })
+          setEntries((prev) => [...prev, { ...created, task }])
+        } else if (operation.type === "update") {
+          const updated = await timeEntriesApi.update(row.taskId, operation.entry._id, { minutes: operation.minutes })
+          setEntries((prev) => prev.map((entry) => (entry._id === updated._id ? { ...updated, task } : entry)))
+        } else {
+          await timeEntriesApi.remove(row.taskId, operation.entry._id)
+          setEntries((prev) => prev.filter((entry) => entry._id !== operation.entry._id))
+        }
+      }
+    } catch (err) {
+      setError(`Failed to save hours: ${err.message}`)
+    }
+    setSaving(false)
+  }
+
+  const handleSubmit = async () => {
+    setError("")
+    try {
+      setTimesheet(await timesheetsApi.submit(weekKey))
+    } catch (err) {
+      setError(`Failed to submit timesheet: ${err.message}`)
+    }
+    setConfirmingSubmit(false)
+  }
+
+  return (
+    <div className="dashboard-container">
+      <Navbar />
+      <div className="dashboard-header">
+        <div className="dashboard-title">
+          <h2>Timesheet</h2>
+          <div className="welcome-message">Review your hours for the week and submit them for approval</div>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="dashboard-controls">
+        <div className="controls-left timesheet-week-nav">
+          <button onClick={() => setWeekStart(shiftWeek(weekStart, -1))} className="filter-button" disabled={saving}>
+            ← Previous
+          </button>
+          <strong>{formatWeekRange(weekStart)}</strong>
+          <button
+            onClick={() => setWeekStart(shiftWeek(weekStart, 1))}
+            className="filter-button"
+            disabled={isCurrentWeek || saving}
+          >
+            Next →
+          </button>
+          {!isCurrentWeek && (
+            <button onClick={() => setWeekStart(startOfWeek(new Date()))} className="filter-button" disabled={saving}>
+              This week
+            </button>
+          )}
+        </div>
+        <span className={`timesheet-status timesheet-status-${timesheet?.status || "draft"}`}>
+          {TIMESHEET_STATUS_LABELS[timesheet?.status || "draft"]}
+        </span>
+      </div>
+
+      {timesheet?.reviewComment && (
+        <div className={timesheet.status === "rejected" ? "error-message" : "date-filter-info"}>
+          {timesheet.reviewedBy?.name || "Reviewer"}: {timesheet.reviewComment}
+        </div>
+      )}
+
+      <div className="task-section full-width">
+        {loading ? (
+          <div className="no-tasks">Loading...</div>
+        ) : (
+          <>
+            {grid.rows.length === 0 ? (
+              <div className="no-tasks">No time logged this week</div>
+            ) : (
+              <TimesheetGrid grid={grid} days={days} onCellChange={editable && !saving ? handleCellChange : null} />
+            )}
+
+            {editable && (
+              <div className="timesheet-actions">
+                {availableTasks.length > 0 && (
+                  <select
+                    value=""
+                    onChange={(e) => setAddedTaskIds((prev) => [...prev, e.target.value])}
+                    aria-label="Add a task to the timesheet"
+                  >
+                    <option value="">Add a task...</option>
+                    {availableTasks.map((task) => (
+                      <option key={task._id} value={task._id}>
+                        {task.title}
+                      </option>
+                    ))}
+                  </select>
+                )}
+
+                {confirmingSubmit ? (
+                  <div className="task-actions">
+                    <span className="confirm-text">
+                      Submit {formatDuration(grid.total)}? The week is locked until it is reviewed.
+                    </span>
+                    <button onClick={handleSubmit} className="submit-button">
+                      Confirm
+                    </button>
+                    <button onClick={() => setConfirmingSubmit(false)} className="cancel-button">
+                      Cancel
+                    </button>
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => setConfirmingSubmit(true)}
+                    className="submit-button"
+                    disabled={grid.total === 0 || saving}
+                  >
+                    {timesheet?.status === "rejected" ? "Resubmit" : "Submit for approval"}
+                  </button>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Timesheet
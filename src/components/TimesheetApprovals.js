@@ -0,0 +1,182 @@
+import { useState, useEffect } from "react"
+import { timesheetsApi, timeEntriesApi } from "../services/api"
+import { formatDuration } from "../utils/timeTracking"
+import {
+  TIMESHEET_STATUS_LABELS,
+  parseDateKey,
+  toDateKey,
+  weekDays,
+  formatWeekRange,
+  buildTimesheetGrid,
+} from "../utils/timesheets"
+import TimesheetGrid from "./TimesheetGrid"
+
+const COMMENT_MAX_LENGTH = 500
+
+// Read-only grid and approve/reject form for one submitted timesheet
+const TimesheetReview = ({ timesheet, onReviewed }) => {
+  const weekStart = parseDateKey(timesheet.weekStart)
+  const days = weekDays(weekStart)
+  const [grid, setGrid] = useState(null)
+  const [comment, setComment] = useState("")
+  const [error, setError] = useState("")
+
+  useEffect(() => {
+    let cancelled = false
+    const start = parseDateKey(timesheet.weekStart)
+    const fetchEntries = async () => {
+      // Without an employee the search would fall back to the reviewer's own entries
+      const employeeId = timesheet.employee?._id
+      if (!employeeId) {
+        setError("This timesheet's employee no longer exists, so their hours can't be loaded")
+        return
+      }
+
+      try {
+        const entries = await timeEntriesApi.search({
+          employeeId,
+          startDate: toDateKey(start),
+          endDate: toDateKey(weekDays(start)[6]),
+        })
+        if (!cancelled) setGrid(buildTimesheetGrid(entries, start))
+      } catch (err) {
+        if (!cancelled) setError(`Failed to load hours: ${err.message}`)
+      }
+    }
+
+    fetchEntries()
+    return () => {
+      cancelled = true
+    }
+  }, [timesheet])
+
+  const review = async (status) => {
+    // The employee needs to know what to fix
+    if (status === "rejected" && !comment.trim()) {
+      setError("Add a comment explaining what needs to change")
+      return
+    }
+    setError("")
+    try {
+      onReviewed(await timesheetsApi.review(timesheet._id, status, comment.trim()))
+    } catch (err) {
+      setError(`Failed to review timesheet: ${err.message}`)
+    }
+  }
+
+  return (
+    <div className="timesheet-review">
+      {error && <div className="error-message">{error}</div>}
+      {grid ? <TimesheetGrid grid={grid} days={days} /> : !error && <div className="comments-empty">Loading hours...</div>}
+
+      {timesheet.status === "submitted" && (
+        <div className="comment-form">
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Comment (required when rejecting)"
+            maxLength={COMMENT_MAX_LENGTH}
+            rows="2"
+            aria-label="Review comment"
+          />
+          <div className="task-actions">
+            <button onClick={() => review("approved")} className="edit-button">
+              Approve
+            </button>
+            <button onClick={() => review("rejected")} className="delete-button">
+              Reject
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Admin queue of timesheets, submitted ones by default
+const TimesheetApprovals = () => {
+  const [timesheets, setTimesheets] = useState([])
+  const [status, setStatus] = useState("submitted")
+  const [openId, setOpenId] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState("")
+
+  useEffect(() => {
+    const fetchTimesheets = async () => {
+      setLoading(true)
+      try {
+        setTimesheets(await timesheetsApi.getAll({ status }))
+        setError("")
+      } catch (err) {
+        setError(`Failed to fetch timesheets: ${err.message}`)
+      }
+      setLoading(false)
+    }
+
+    fetchTimesheets()
+  }, [status])
+
+  // A reviewed sheet no longer matches the "submitted" filter, so it leaves the queue
+  const handleReviewed = (updated) => {
+    setTimesheets((prev) =>
+      updated.status === status
+        ? prev.map((sheet) => (sheet._id === updated._id ? { ...sheet, ...updated } : sheet))
+        : prev.filter((sheet) => sheet._id !== updated._id),
+    )
+    setOpenId(null)
+  }
+
+  return (
+    <div className="task-section full-width timesheet-approvals">
+      <div className="task-section-header">
+        <h3>Timesheets ({timesheets.length})</h3>
+        <select value={status} onChange={(e) => setStatus(e.target.value)} aria-label="Timesheet status">
+          {["submitted", "approved", "rejected"].map((value) => (
+            <option key={value} value={value}>
+              {TIMESHEET_STATUS_LABELS[value]}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <div className="no-tasks">Loading...</div>
+      ) : timesheets.length === 0 ? (
+        <div className="no-tasks">No timesheets to show</div>
+      ) : (
+        <ul className="timesheet-queue">
+          {timesheets.map((sheet) => (
+            <li key={sheet._id} className="timesheet-queue-item">
+              <div className="timesheet-queue-summary">
+                <span>
+                  <strong>{sheet.employee?.name || "Unknown user"}</strong>
+                  {sheet.employee?.department && (
+                    <span className="employee-department">{sheet.employee.department}</span>
+                  )}
+                </span>
+                <span>{formatWeekRange(parseDateKey(sheet.weekStart))}</span>
+                <span>{formatDuration(sheet.totalMinutes || 0)}</span>
+                {sheet.submittedAt && (
+                  <span className="time-entry-meta">Submitted {new Date(sheet.submittedAt).toLocaleDateString()}</span>
+                )}
+                <button onClick={() => setOpenId(openId === sheet._id ? null : sheet._id)} className="link-button">
+                  {openId === sheet._id ? "Hide" : sheet.status === "submitted" ? "Review" : "View"}
+                </button>
+              </div>
+              {sheet.reviewComment && openId !== sheet._id && (
+                <div className="time-entry-meta">
+                  {sheet.reviewedBy?.name || "Reviewer"}: {sheet.reviewComment}
+                </div>
+              )}
+              {openId === sheet._id && <TimesheetReview timesheet={sheet} onReviewed={handleReviewed} />}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default TimesheetApprovals
@@ -0,0 +1,90 @@
+import { useState, useEffect } from "react"
+import { formatDuration, hoursToMinutes, MAX_ENTRY_MINUTES } from "../utils/timeTracking"
+
+// Hours input that only reports a change when the user leaves the cell or presses Enter
+const HoursCell = ({ minutes, onCommit, label }) => {
+  const [value, setValue] = useState(minutes ? String(minutes / 60) : "")
+
+  useEffect(() => {
+    setValue(minutes ? String(minutes / 60) : "")
+  }, [minutes])
+
+  const commit = () => {
+    const newMinutes = value === "" ? 0 : hoursToMinutes(value)
+    if (!(newMinutes >= 0) || newMinutes > MAX_ENTRY_MINUTES) {
+      setValue(minutes ? String(minutes / 60) : "")
+      return
+    }
+    if (newMinutes !== minutes) onCommit(newMinutes)
+  }
+
+  return (
+    <input
+      type="number"
+      min="0"
+      max="24"
+      step="0.25"
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.target.blur()
+      }}
+      aria-label={label}
+    />
+  )
+}
+
+// Tasks × days table of logged time. With onCellChange set, cells can be edited in hours.
+const TimesheetGrid = ({ grid, days, onCellChange = null }) => (
+  <div className="table-container">
+    <table className="data-table timesheet-grid">
+      <thead>
+        <tr>
+          <th>Task</th>
+          {days.map((day) => (
+            <th key={day.toISOString()}>
+              {day.toLocaleDateString("en-US", { weekday: "short" })}
+              <span className="timesheet-day-date">{day.getDate()}</span>
+            </th>
+          ))}
+          <th>Total</th>
+        </tr>
+      </thead>
+      <tbody>
+        {grid.rows.map((row) => (
+          <tr key={row.taskId}>
+            <td>{row.title}</td>
+            {row.days.map((minutes, dayIndex) => (
+              <td key={dayIndex}>
+                {onCellChange ? (
+                  <HoursCell
+                    minutes={minutes}
+                    onCommit={(newMinutes) => onCellChange(row, dayIndex, newMinutes)}
+                    label={`${row.title} on ${days[dayIndex].toLocaleDateString()}`}
+                  />
+                ) : minutes ? (
+                  formatDuration(minutes)
+                ) : (
+                  ""
+                )}
+              </td>
+            ))}
+            <td className="timesheet-total">{formatDuration(row.total)}</td>
+          </tr>
+        ))}
+      </tbody>
+      <tfoot>
+        <tr>
+          <th>Total</th>
+          {grid.dayTotals.map((minutes, dayIndex) => (
+            <th key={dayIndex}>{minutes ? formatDuration(minutes) : ""}</th>
+          ))}
+          <th>{formatDuration(grid.total)}</th>
+        </tr>
+      </tfoot>
+    </table>
+  </div>
+)
+
+export default TimesheetGrid
@@ -0,0 +1,29 @@
+const ToastStack = ({ toasts, onDismiss }) => {
+  if (toasts.length === 0) return null
+
+  return (
+    <div className="toast-stack" role="status" aria-live="polite">
+      {toasts.map((toast) => (
+        <div key={toast.id} className={`toast toast-${toast.type}`}>
+          <span className="toast-message">{toast.message}</span>
+          {toast.action && (
+            <button
+              onClick={() => {
+                toast.action.onClick()
+                onDismiss(toast.id)
+              }}
+              className="toast-action"
+            >
+              {toast.action.label}
+            </button>
+          )}
+          <button onClick={() => onDismiss(toast.id)} className="close-button" aria-label="Dismiss">
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default ToastStack
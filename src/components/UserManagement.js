@@ -0,0 +1,214 @@
+import { useState, useEffect, useContext, useMemo } from "react"
+import { AuthContext } from "../context/AuthContext"
+import { tasksApi, departmentsApi, usersApi } from "../services/api"
+import { isOverdue } from "../utils/tasks"
+import Navbar from "./Navbar"
+import DepartmentFilter from "./DepartmentFilter"
+
+// Roles supported by the backend User model
+const ROLES = ["employee", "admin"]
+
+const UserManagement = () => {
+  const { user } = useContext(AuthContext)
+  const [users, setUsers] = useState([])
+  const [tasks, setTasks] = useState([])
+  const [departments, setDepartments] = useState([])
+  const [selectedDepartment, setSelectedDepartment] = useState("all")
+  const [searchTerm, setSearchTerm] = useState("")
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState("")
+  const [confirmingDeactivateId, setConfirmingDeactivateId] = useState(null)
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [usersData, tasksData, departmentsData] = await Promise.all([
+          usersApi.getAll(),
+          tasksApi.getAll(),
+          departmentsApi.getAll(),
+        ])
+        setUsers(usersData)
+        setTasks(tasksData)
+        setDepartments(departmentsData)
+        setLoading(false)
+      } catch (err) {
+        setError(`Failed to fetch users: ${err.message}`)
+        setLoading(false)
+      }
+    }
+
+    fetchData()
+  }, [])
+
+  const taskStats = useMemo(() => {
+    const stats = {}
+    tasks.forEach((task) => {
+      const id = task.employee?._id
+      if (!id) return
+      stats[id] = stats[id] || { total: 0, done: 0, overdue: 0 }
+      stats[id].total++
+      if (task.status === "Done") stats[id].done++
+      if (isOverdue(task)) stats[id].overdue++
+    })
+    return stats
+  }, [tasks])
+
+  const filteredUsers = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase()
+    return users.filter(
+      (u) =>
+        (selectedDepartment === "all" || u.department === selectedDepartment) &&
+        (!term || u.name.toLowerCase().includes(term) || u.email.toLowerCase().includes(term)),
+    )
+  }, [users, selectedDepartment, searchTerm])
+
+  const updateUser = async (id, changes) => {
+    setError("")
+    try {
+      const updated = await usersApi.update(id, changes)
+      setUsers((prev) => prev.map((u) => (u._id === id ? { ...u, ...updated } : u)))
+    } catch (err) {
+      setError(`Failed to update user: ${err.message}`)
+    }
+  }
+
+  const handleDeactivate = async (id) => {
+    await updateUser(id, { active: false })
+    setConfirmingDeactivateId(null)
+  }
+
+  if (loading) return <div className="loading">Loading...</div>
+
+  return (
+    <div className="dashboard-container">
+      <Navbar />
+      <div className="dashboard-header">
+        <div className="dashboard-title">
+          <h2>Users</h2>
+          <div className="welcome-message">Manage employees, roles and departments</div>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="dashboard-controls">
+        <div className="controls-left">
+          <DepartmentFilter
+            departments={departments}
+            selectedDepartment={selectedDepartment}
+            onSelectDepartment={setSelectedDepartment}
+          />
+          <div className="search-container">
+            <input
+              type="text"
+              placeholder="Search by name or email..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="search-input"
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="task-section full-width">
+        <h3>All Users ({filteredUsers.length})</h3>
+        {filteredUsers.length === 0 ? (
+          <div className="no-tasks">No users found</div>
+        ) : (
+          <div className="table-container">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Email</th>
+                  <th>Department</th>
+                  <th>Role</th>
+                  <th>Tasks</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredUsers.map((u) => {
+                  const stats = taskStats[u._id] || { total: 0, done: 0, overdue: 0 }
+                  const isSelf = u._id === user.id
+                  const isActive = u.active !== false
+
+                  return (
+                    <tr key={u._id} className={isActive ? "" : "inactive-row"}>
+                      <td>{u.name}</td>
+                      <td>{u.email}</td>
+                      <td>
+                        <select
+                          value={u.department}
+                          onChange={(e) => updateUser(u._id, { department: e.target.value })}
+                          aria-label={`Department for ${u.name}`}
+                        >
+                          {!departments.some((d) => d.name === u.department) && (
+                            <option value={u.department}>{u.department}</option>
+                          )}
+                          {departments.map((dept) => (
+                            <option key={dept._id} value={dept.name}>
+                              {dept.name}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>
+                        <select
+                          value={u.role}
+                          onChange={(e) => updateUser(u._id, { role: e.target.value })}
+                          disabled={isSelf}
+                          title={isSelf ? "You cannot change your own role" : undefined}
+                          aria-label={`Role for ${u.name}`}
+                        >
+                          {ROLES.map((role) => (
+                            <option key={role} value={role}>
+                              {role}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>
+                        {stats.total} total · {stats.done} done
+                        {stats.overdue > 0 && <span className="overdue-badge">{stats.overdue} overdue</span>}
+                      </td>
+                      <td>
+                        {isActive ? (
+                          confirmingDeactivateId === u._id ? (
+                            <div className="task-actions">
+                              <button onClick={() => handleDeactivate(u._id)} className="delete-button">
+                                Confirm
+                              </button>
+                              <button onClick={() => setConfirmingDeactivateId(null)} className="cancel-button">
+                                Cancel
+                              </button>
+                            </div>
+                          ) : (
+                            <button
+                              onClick={() => setConfirmingDeactivateId(u._id)}
+                              className="delete-button"
+                              disabled={isSelf}
+                              title={isSelf ? "You cannot deactivate your own account" : undefined}
+                            >
+                              Deactivate
+                            </button>
+                          )
+                        ) : (
+                          <button onClick={() => updateUser(u._id, { active: true })} className="edit-button">
+                            Reactivate
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default UserManagement
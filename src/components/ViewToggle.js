@@ -0,0 +1,23 @@
+const VIEWS = [
+  { value: "list", label: "List" },
+  { value: "board", label: "Board" },
+]
+
+const ViewToggle = ({ view, onChange }) => {
+  return (
+    <div className="view-toggle">
+      {VIEWS.map(({ value, label }) => (
+        <button
+          key={value}
+          type="button"
+          className={`filter-button ${view === value ? "active" : ""}`}
+          onClick={() => onChange(value)}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default ViewToggle
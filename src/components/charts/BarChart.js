@@ -0,0 +1,39 @@
+import ChartGrid from "./ChartGrid"
+import { CHART_WIDTH, CHART_PADDING, niceMax } from "./chartUtils"
+
+// data: [{ label, value, color }]
+const BarChart = ({ data, height = 220, title }) => {
+  const max = niceMax(Math.max(0, ...data.map((d) => d.value)))
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right
+  const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom
+  const slot = plotWidth / Math.max(data.length, 1)
+  const barWidth = Math.min(slot * 0.6, 60)
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${CHART_WIDTH} ${height}`} role="img" aria-label={title}>
+      <ChartGrid max={max} height={height} />
+      {data.map((d, i) => {
+        const barHeight = (d.value / max) * plotHeight
+        const x = CHART_PADDING.left + slot * i + (slot - barWidth) / 2
+        const y = CHART_PADDING.top + plotHeight - barHeight
+        return (
+          <g key={d.label}>
+            <rect x={x} y={y} width={barWidth} height={barHeight} fill={d.color} rx="2">
+              <title>{`${d.label}: ${d.value}`}</title>
+            </rect>
+            {d.value > 0 && (
+              <text className="chart-value" x={x + barWidth / 2} y={y - 4} textAnchor="middle">
+                {d.value}
+              </text>
+            )}
+            <text className="chart-label" x={x + barWidth / 2} y={height - CHART_PADDING.bottom + 18} textAnchor="middle">
+              {d.label}
+            </text>
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+export default BarChart
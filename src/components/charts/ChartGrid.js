@@ -0,0 +1,24 @@
+import { CHART_WIDTH, CHART_PADDING, gridValues } from "./chartUtils"
+
+// Horizontal gridlines with y-axis labels, shared by the bar and line charts
+const ChartGrid = ({ max, height }) => {
+  const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom
+
+  return (
+    <g className="chart-grid">
+      {gridValues(max).map((value) => {
+        const y = CHART_PADDING.top + plotHeight - (value / max) * plotHeight
+        return (
+          <g key={value}>
+            <line x1={CHART_PADDING.left} x2={CHART_WIDTH - CHART_PADDING.right} y1={y} y2={y} />
+            <text x={CHART_PADDING.left - 6} y={y + 4} textAnchor="end">
+              {Math.round(value)}
+            </text>
+          </g>
+        )
+      })}
+    </g>
+  )
+}
+
+export default ChartGrid
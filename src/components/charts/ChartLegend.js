@@ -0,0 +1,14 @@
+const ChartLegend = ({ items }) => {
+  return (
+    <div className="chart-legend">
+      {items.map(({ key, label, color }) => (
+        <span key={key} className="chart-legend-item">
+          <span className="chart-legend-swatch" style={{ backgroundColor: color }} />
+          {label}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+export default ChartLegend
@@ -0,0 +1,49 @@
+import ChartGrid from "./ChartGrid"
+import ChartLegend from "./ChartLegend"
+import { CHART_WIDTH, CHART_PADDING, niceMax } from "./chartUtils"
+
+// labels: x-axis labels, series: [{ key, label, color, values }] with one value per label
+const LineChart = ({ labels, series, height = 220, title, showLegend = true }) => {
+  const max = niceMax(Math.max(0, ...series.flatMap((s) => s.values)))
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right
+  const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom
+  const step = labels.length > 1 ? plotWidth / (labels.length - 1) : 0
+  // Thin out x-axis labels so they never overlap
+  const labelEvery = Math.ceil(labels.length / 10)
+
+  const pointX = (i) => CHART_PADDING.left + (labels.length > 1 ? step * i : plotWidth / 2)
+  const pointY = (value) => CHART_PADDING.top + plotHeight - (value / max) * plotHeight
+
+  return (
+    <div>
+      <svg className="chart" viewBox={`0 0 ${CHART_WIDTH} ${height}`} role="img" aria-label={title}>
+        <ChartGrid max={max} height={height} />
+        {labels.map((label, i) =>
+          i % labelEvery === 0 ? (
+            <text key={i} className="chart-label" x={pointX(i)} y={height - CHART_PADDING.bottom + 18} textAnchor="middle">
+              {label}
+            </text>
+          ) : null,
+        )}
+        {series.map((s) => (
+          <g key={s.key}>
+            <polyline
+              fill="none"
+              stroke={s.color}
+              strokeWidth="2"
+              points={s.values.map((value, i) => `${pointX(i)},${pointY(value)}`).join(" ")}
+            />
+            {s.values.map((value, i) => (
+              <circle key={i} cx={pointX(i)} cy={pointY(value)} r="3" fill={s.color}>
+                <title>{`${labels[i]} – ${s.label}: ${value}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      {showLegend && <ChartLegend items={series} />}
+    </div>
+  )
+}
+
+export default LineChart
@@ -0,0 +1,46 @@
+import ChartGrid from "./ChartGrid"
+import ChartLegend from "./ChartLegend"
+import { CHART_WIDTH, CHART_PADDING, niceMax } from "./chartUtils"
+
+// data: [{ label, values: { [seriesKey]: number } }], series: [{ key, label, color }]
+const StackedBarChart = ({ data, series, height = 240, title }) => {
+  const totals = data.map((d) => series.reduce((sum, s) => sum + (d.values[s.key] || 0), 0))
+  const max = niceMax(Math.max(0, ...totals))
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right
+  const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom
+  const slot = plotWidth / Math.max(data.length, 1)
+  const barWidth = Math.min(slot * 0.6, 60)
+
+  return (
+    <div>
+      <svg className="chart" viewBox={`0 0 ${CHART_WIDTH} ${height}`} role="img" aria-label={title}>
+        <ChartGrid max={max} height={height} />
+        {data.map((d, i) => {
+          const x = CHART_PADDING.left + slot * i + (slot - barWidth) / 2
+          let y = CHART_PADDING.top + plotHeight
+
+          return (
+            <g key={d.label}>
+              {series.map((s) => {
+                const value = d.values[s.key] || 0
+                const segmentHeight = (value / max) * plotHeight
+                y -= segmentHeight
+                return value > 0 ? (
+                  <rect key={s.key} x={x} y={y} width={barWidth} height={segmentHeight} fill={s.color}>
+                    <title>{`${d.label} – ${s.label}: ${value}`}</title>
+                  </rect>
+                ) : null
+              })}
+              <text className="chart-label" x={x + barWidth / 2} y={height - CHART_PADDING.bottom + 18} textAnchor="middle">
+                {d.label.length > 14 ? `${d.label.slice(0, 13)}…` : d.label}
+              </text>
+            </g>
+          )
+        })}
+      </svg>
+      <ChartLegend items={series} />
+    </div>
+  )
+}
+
+export default StackedBarChart
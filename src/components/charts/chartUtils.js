@@ -0,0 +1,12 @@
+// Shared layout for the SVG charts; every chart draws into a fixed viewBox and scales with its container
+export const CHART_WIDTH = 600
+export const CHART_PADDING = { top: 16, right: 16, bottom: 48, left: 40 }
+
+// Round the largest value up so gridlines land on whole numbers
+export const niceMax = (value, ticks = 4) => {
+  if (value <= ticks) return ticks
+  const step = Math.ceil(value / ticks)
+  return step * ticks
+}
+
+export const gridValues = (max, ticks = 4) => Array.from({ length: ticks + 1 }, (_, i) => (max / ticks) * i)
@@ -1,36 +1,110 @@
-import React, { createContext, useState, useEffect } from 'react';
+import React, { createContext, useState, useEffect, useCallback } from 'react';
+import { setAuthToken, setUnauthorizedHandler } from '../services/api';
 
 export const AuthContext = createContext();
 
+// How long before the token expires the warning banner is shown
+const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+// setTimeout overflows past ~24.8 days, and JWT_EXPIRE is usually 30d
+const MAX_TIMEOUT_MS = 2147483647;
+
+// Read the `exp` claim (seconds) from a JWT and return it in milliseconds
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const { exp } = JSON.parse(atob(payload));
+    return exp ? exp * 1000 : null;
+  } catch (e) {
+    return null;
+  }
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [sessionExpiresAt, setSessionExpiresAt] = useState(null);
+  const [showExpiryWarning, setShowExpiryWarning] = useState(false);
+  const [sessionExpired, setSessionExpired] = useState(false);
+
+  const logout = useCallback((reason) => {
+    localStorage.removeItem('user');
+    setAuthToken(null);
+    setUser(null);
+    setIsAuthenticated(false);
+    setSessionExpiresAt(null);
+    setShowExpiryWarning(false);
+    setSessionExpired(reason === 'expired');
+  }, []);
 
   useEffect(() => {
     const storedUser = localStorage.getItem('user');
     if (storedUser) {
-      setUser(JSON.parse(storedUser));
-      setIsAuthenticated(true);
+      const parsedUser = JSON.parse(storedUser);
+      const expiresAt = getTokenExpiry(parsedUser.token);
+
+      if (expiresAt && expiresAt <= Date.now()) {
+        localStorage.removeItem('user');
+        setSessionExpired(true);
+      } else {
+        setAuthToken(parsedUser.token);
+        setUser(parsedUser);
+        setSessionExpiresAt(expiresAt);
+        setIsAuthenticated(true);
+      }
     }
     setLoading(false);
   }, []);
 
+  // Called by the API layer once the backend has refused the token itself
+  useEffect(() => {
+    setUnauthorizedHandler(() => logout('expired'));
+    return () => setUnauthorizedHandler(null);
+  }, [logout]);
+
+  useEffect(() => {
+    if (!sessionExpiresAt) return;
+
+    let timer;
+    const checkExpiry = () => {
+      const remaining = sessionExpiresAt - Date.now();
+      if (remaining <= 0) {
+        logout('expired');
+        return;
+      }
+
+      setShowExpiryWarning(remaining <= EXPIRY_WARNING_MS);
+      const nextCheck = remaining > EXPIRY_WARNING_MS ? remaining - EXPIRY_WARNING_MS : remaining;
+      timer = setTimeout(checkExpiry, Math.min(nextCheck, MAX_TIMEOUT_MS));
+    };
+
+    checkExpiry();
+    return () => clearTimeout(timer);
+  }, [sessionExpiresAt, logout]);
+
   const login = (userData) => {
     localStorage.setItem('user', JSON.stringify(userData));
+    setAuthToken(userData.token);
     setUser(userData);
     setIsAuthenticated(true);
-  };
-
-  const logout = () => {
-    localStorage.removeItem('user');
-    setUser(null);
-    setIsAuthenticated(false);
+    setSessionExpiresAt(getTokenExpiry(userData.token));
+    setSessionExpired(false);
   };
 
   return (
-    <AuthContext.Provider value={{ user, isAuthenticated, loading, login, logout }}>
+    <AuthContext.Provider
+      value={{
+        user,
+        isAuthenticated,
+        loading,
+        login,
+        logout,
+        sessionExpiresAt,
+        showExpiryWarning,
+        sessionExpired
+      }}
+    >
       {!loading && children}
     </AuthContext.Provider>
   );
-};
\ No newline at end of file
+};
@@ -0,0 +1,74 @@
+import React, { createContext, useState, useEffect, useContext, useCallback, useRef } from 'react';
+import { AuthContext } from './AuthContext';
+import { notificationsApi } from '../services/api';
+
+export const NotificationsContext = createContext();
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Notifications for the logged-in user, polled here rather than in the bell so that moving between
+// pages (each with its own Navbar) doesn't refetch them or restart the poll.
+export const NotificationsProvider = ({ children }) => {
+  const { user } = useContext(AuthContext);
+  const userId = user?.id;
+  const [notifications, setNotifications] = useState([]);
+  const [error, setError] = useState('');
+  // Bumped by every fetch and every local change. A response is only applied if nothing has happened
+  // since its request went out, so a poll that was already in flight can't undo a "mark read".
+  const version = useRef(0);
+
+  const fetchNotifications = useCallback(async () => {
+    const requestVersion = ++version.current;
+    try {
+      const data = await notificationsApi.getAll();
+      if (requestVersion !== version.current) return;
+      setNotifications(data);
+      setError('');
+    } catch (err) {
+      if (requestVersion !== version.current) return;
+      setError('Notifications are unavailable right now');
+    }
+  }, []);
+
+  useEffect(() => {
+    // Drops anything still in flight for the previous user
+    version.current++;
+    setNotifications([]);
+    setError('');
+    if (!userId) return;
+
+    fetchNotifications();
+
+    // Skip polls while the tab is in the background
+    const timer = setInterval(() => {
+      if (!document.hidden) fetchNotifications();
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [userId, fetchNotifications]);
+
+  const markRead = async (id) => {
+    version.current++;
+    setNotifications((prev) => prev.map((n) => (n._id === id ? { ...n, read: true } : n)));
+    try {
+      await notificationsApi.markRead(id);
+    } catch (err) {
+      fetchNotifications();
+    }
+  };
+
+  const markAllRead = async () => {
+    version.current++;
+    setNotifications((prev) => prev.map((n) => ({ ...n, read: true })));
+    try {
+      await notificationsApi.markAllRead();
+    } catch (err) {
+      fetchNotifications();
+    }
+  };
+
+  return (
+    <NotificationsContext.Provider value={{ notifications, error, markRead, markAllRead }}>
+      {children}
+    </NotificationsContext.Provider>
+  );
+};
@@ -0,0 +1,59 @@
+import { useContext } from 'react';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { AuthContext } from './AuthContext';
+import { NotificationsContext, NotificationsProvider } from './NotificationsContext';
+import { notificationsApi } from '../services/api';
+
+jest.mock('../services/api', () => ({
+  notificationsApi: { getAll: jest.fn(), markRead: jest.fn(), markAllRead: jest.fn() }
+}));
+
+const wrapper = ({ children }) => (
+  <AuthContext.Provider value={{ user: { id: 'u1' } }}>
+    <NotificationsProvider>{children}</NotificationsProvider>
+  </AuthContext.Provider>
+);
+
+const unread = { _id: 'n1', type: 'commented', message: 'New comment', read: false };
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.clearAllMocks();
+});
+
+test('a poll that was in flight when a notification was marked read does not mark it unread again', async () => {
+  jest.useFakeTimers();
+  notificationsApi.getAll.mockResolvedValueOnce([unread]);
+  const { result } = renderHook(() => useContext(NotificationsContext), { wrapper });
+  await waitFor(() => expect(result.current.notifications).toEqual([unread]));
+
+  // The next poll starts, then the user marks the notification read before it answers
+  let resolvePoll;
+  notificationsApi.getAll.mockReturnValueOnce(new Promise((resolve) => { resolvePoll = resolve; }));
+  notificationsApi.markRead.mockResolvedValue({});
+  act(() => {
+    jest.advanceTimersByTime(60 * 1000);
+  });
+  expect(notificationsApi.getAll).toHaveBeenCalledTimes(2);
+  await act(async () => {
+    await result.current.markRead('n1');
+  });
+
+  await act(async () => {
+    resolvePoll([unread]);
+  });
+  expect(result.current.notifications).toEqual([{ ...unread, read: true }]);
+});
+
+test('a failed mark-read fetches the list again', async () => {
+  notificationsApi.getAll.mockResolvedValue([unread]);
+  notificationsApi.markRead.mockRejectedValue(new Error('Network Error'));
+  const { result } = renderHook(() => useContext(NotificationsContext), { wrapper });
+  await waitFor(() => expect(result.current.notifications).toEqual([unread]));
+
+  await act(async () => {
+    await result.current.markRead('n1');
+  });
+  await waitFor(() => expect(result.current.notifications).toEqual([unread]));
+  expect(notificationsApi.getAll).toHaveBeenCalledTimes(2);
+});
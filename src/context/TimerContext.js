@@ -0,0 +1,98 @@
+import React, { createContext, useState, useEffect, useContext, useCallback, useRef } from 'react';
+import { AuthContext } from './AuthContext';
+import { timeEntriesApi } from '../services/api';
+import { minutesBetween, MAX_ENTRY_MINUTES } from '../utils/timeTracking';
+
+export const TimerContext = createContext();
+
+const storageKey = (userId) => `activeTimer:${userId}`;
+
+const loadTimer = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(userId)));
+  } catch (e) {
+    return null;
+  }
+};
+
+// One running timer per user: { taskId, title, startedAt }. It is kept in localStorage so it
+// survives reloads and stays in step across tabs; nothing reaches the server until it is stopped.
+export const TimerProvider = ({ children }) => {
+  const { user } = useContext(AuthContext);
+  const userId = user?.id;
+  const [activeTimer, setActiveTimer] = useState(null);
+  const [stopping, setStopping] = useState(false);
+  // Set synchronously, so a second click before the re-render can't post the entry twice
+  const stoppingRef = useRef(false);
+
+  useEffect(() => {
+    setActiveTimer(userId ? loadTimer(userId) : null);
+    if (!userId) return;
+
+    const handleStorage = (e) => {
+      if (e.key === storageKey(userId)) setActiveTimer(loadTimer(userId));
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [userId]);
+
+  const saveTimer = useCallback((timer) => {
+    if (timer) {
+      localStorage.setItem(storageKey(userId), JSON.stringify(timer));
+    } else {
+      localStorage.removeItem(storageKey(userId));
+    }
+    setActiveTimer(timer);
+  }, [userId]);
+
+  const startTimer = (task) => {
+    if (activeTimer) return false;
+    saveTimer({ taskId: task._id, title: task.title, startedAt: Date.now() });
+    return true;
+  };
+
+  // Saves the running timer as a time entry and resolves with { taskId, minutes }, or null when there
+  // is nothing to stop or a stop is already being saved. A timer left running past MAX_ENTRY_MINUTES
+  // (e.g. forgotten overnight) is saved as MAX_ENTRY_MINUTES, the most a single entry may hold.
+  // The stored timer is removed before the entry is posted, so another tab can't post it as well;
+  // if the save fails it is put back so it can be stopped again.
+  const stopTimer = async () => {
+    const timer = activeTimer;
+    if (!timer || stoppingRef.current) return null;
+
+    stoppingRef.current = true;
+    setStopping(true);
+    localStorage.removeItem(storageKey(userId));
+    try {
+      const now = Date.now();
+      const elapsed = minutesBetween(timer.startedAt, now);
+      const minutes = Math.min(elapsed, MAX_ENTRY_MINUTES);
+      const endedAt = elapsed > minutes ? timer.startedAt + minutes * 60000 : now;
+      const entry = await timeEntriesApi.create(timer.taskId, {
+        minutes,
+        date: new Date(timer.startedAt).toISOString(),
+        startedAt: new Date(timer.startedAt).toISOString(),
+        endedAt: new Date(endedAt).toISOString()
+      });
+      // Another tab may have started a new timer meanwhile
+      setActiveTimer(loadTimer(userId));
+      return { taskId: timer.taskId, minutes: entry.minutes ?? minutes };
+    } catch (err) {
+      const current = loadTimer(userId);
+      if (current) setActiveTimer(current);
+      else saveTimer(timer);
+      throw err;
+    } finally {
+      stoppingRef.current = false;
+      setStopping(false);
+    }
+  };
+
+  const discardTimer = () => saveTimer(null);
+
+  return (
+    <TimerContext.Provider value={{ activeTimer, stopping, startTimer, stopTimer, discardTimer }}>
+      {children}
+    </TimerContext.Provider>
+  );
+};
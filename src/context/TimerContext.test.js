@@ -0,0 +1,88 @@
+import { useContext } from 'react';
+import { renderHook, act } from '@testing-library/react';
+import { AuthContext } from './AuthContext';
+import { TimerContext, TimerProvider } from './TimerContext';
+import { timeEntriesApi } from '../services/api';
+import { MAX_ENTRY_MINUTES } from '../utils/timeTracking';
+
+jest.mock('../services/api', () => ({ timeEntriesApi: { create: jest.fn() } }));
+
+const wrapper = ({ children }) => (
+  <AuthContext.Provider value={{ user: { id: 'u1' } }}>
+    <TimerProvider>{children}</TimerProvider>
+  </AuthContext.Provider>
+);
+
+afterEach(() => {
+  localStorage.clear();
+  jest.clearAllMocks();
+});
+
+test('a second stop while the first is saving is ignored', async () => {
+  let resolveCreate;
+  timeEntriesApi.create.mockReturnValue(new Promise((resolve) => { resolveCreate = resolve; }));
+  const { result } = renderHook(() => useContext(TimerContext), { wrapper });
+
+  act(() => {
+    result.current.startTimer({ _id: 't1', title: 'Report' });
+  });
+
+  // Both calls land before a re-render, as a double click would
+  let first;
+  let second;
+  act(() => {
+    first = result.current.stopTimer();
+    second = result.current.stopTimer();
+  });
+  expect(result.current.stopping).toBe(true);
+  expect(await second).toBeNull();
+
+  await act(async () => {
+    resolveCreate({ minutes: 1 });
+    await first;
+  });
+  expect(await first).toEqual({ taskId: 't1', minutes: 1 });
+  expect(timeEntriesApi.create).toHaveBeenCalledTimes(1);
+  expect(result.current.stopping).toBe(false);
+  expect(result.current.activeTimer).toBeNull();
+});
+
+test('a timer left running for days is logged as the longest allowed entry', async () => {
+  const startedAt = Date.now() - 3 * 24 * 60 * 60000;
+  localStorage.setItem('activeTimer:u1', JSON.stringify({ taskId: 't1', title: 'Report', startedAt }));
+  timeEntriesApi.create.mockImplementation((taskId, entry) => Promise.resolve(entry));
+  const { result } = renderHook(() => useContext(TimerContext), { wrapper });
+
+  let stopped;
+  await act(async () => {
+    stopped = await result.current.stopTimer();
+  });
+  expect(stopped).toEqual({ taskId: 't1', minutes: MAX_ENTRY_MINUTES });
+  const entry = timeEntriesApi.create.mock.calls[0][1];
+  expect(entry.minutes).toBe(MAX_ENTRY_MINUTES);
+  expect(new Date(entry.endedAt) - new Date(entry.startedAt)).toBe(MAX_ENTRY_MINUTES * 60000);
+});
+
+test('the stored timer is cleared before the entry is posted and put back if it fails', async () => {
+  let rejectCreate;
+  timeEntriesApi.create.mockReturnValue(new Promise((resolve, reject) => { rejectCreate = reject; }));
+  const { result } = renderHook(() => useContext(TimerContext), { wrapper });
+
+  act(() => {
+    result.current.startTimer({ _id: 't1', title: 'Report' });
+  });
+
+  let stopping;
+  act(() => {
+    stopping = result.current.stopTimer();
+  });
+  // Other tabs see no timer while this one is saving, so they can't post it too
+  expect(localStorage.getItem('activeTimer:u1')).toBeNull();
+
+  await act(async () => {
+    rejectCreate(new Error('Network Error'));
+    await expect(stopping).rejects.toThrow('Network Error');
+  });
+  expect(JSON.parse(localStorage.getItem('activeTimer:u1'))).toMatchObject({ taskId: 't1' });
+  expect(result.current.activeTimer).toMatchObject({ taskId: 't1' });
+});
@@ -0,0 +1,157 @@
+import { useState, useEffect, useCallback, useRef } from "react"
+import { tasksApi, isNetworkError } from "../services/api"
+import { getQueuedMutations, addMutation, putMutation, removeMutation } from "../services/offlineStore"
+import useOnlineStatus from "./useOnlineStatus"
+
+// Prefix for the ids of tasks created offline, until the server assigns a real one
+export const OFFLINE_ID_PREFIX = "offline-"
+
+export const isOfflineTask = (id) => String(id).startsWith(OFFLINE_ID_PREFIX)
+
+// How often queued changes are retried while the browser says it is online but the API is unreachable
+const RETRY_INTERVAL_MS = 30 * 1000
+
+// The fields a conflict is judged on
+const CONFLICT_FIELDS = ["title", "description", "status", "priority", "dueDate"]
+
+const normalize = (field, value) => {
+  if (field === "dueDate") return value ? new Date(value).toISOString().slice(0, 10) : ""
+  return value ?? ""
+}
+
+// Snapshot of a task before an offline change, kept with the queued mutation
+export const conflictBase = (task) =>
+  CONFLICT_FIELDS.reduce((base, field) => ({ ...base, [field]: task[field] }), {})
+
+const changedOnServer = (base, serverTask) =>
+  CONFLICT_FIELDS.some((field) => normalize(field, base[field]) !== normalize(field, serverTask[field]))
+
+// Fold a new change into the queue, so each task has at most one pending mutation
+const enqueue = async (userId, mutation) => {
+  const queued = await getQueuedMutations(userId)
+
+  if (isOfflineTask(mutation.taskId)) {
+    // The task was never sent, so change or drop its create instead
+    const create = queued.find((m) => m.type === "create" && m.tempId === mutation.taskId)
+    if (!create) return
+    if (mutation.type === "delete") return removeMutation(create.id)
+    return putMutation({ ...create, data: { ...create.data, ...mutation.data } })
+  }
+
+  const existing = queued.find((m) => m.taskId === mutation.taskId)
+  if (!existing) return addMutation({ ...mutation, userId })
+
+  // Keep the base from the first offline change: that is what the server is compared against
+  if (mutation.type === "delete") {
+    return putMutation({ id: existing.id, userId, type: "delete", taskId: mutation.taskId, base: existing.base })
+  }
+  return putMutation({ ...existing, data: { ...existing.data, ...mutation.data } })
+}
+
+// Resolves with a message describing a conflict, or null once the change has been applied
+export const replayMutation = async (mutation) => {
+  if (mutation.type === "create") {
+    await tasksApi.create(mutation.data)
+    return null
+  }
+
+  let serverTask
+  try {
+    serverTask = await tasksApi.get(mutation.taskId)
+  } catch (err) {
+    if (err.status !== 404) throw err
+    return mutation.type === "delete" ? null : `"${mutation.base.title}" was deleted while you were offline`
+  }
+
+  if (changedOnServer(mutation.base, serverTask)) {
+    return mutation.type === "delete"
+      ? `"${serverTask.title}" was changed by someone else, so it was not deleted`
+      : `"${serverTask.title}" was changed by someone else; your offline edits were not applied`
+  }
+
+  if (mutation.type === "delete") {
+    await tasksApi.remove(mutation.taskId)
+  } else {
+    await tasksApi.update(mutation.taskId, mutation.data)
+  }
+  return null
+}
+
+// Queues task changes made offline and replays them once the API is reachable again.
+// onSynced is called after a replay that sent anything, so the caller can refetch its tasks.
+const useOfflineSync = (userId, onSynced) => {
+  const isOnline = useOnlineStatus()
+  const [syncing, setSyncing] = useState(false)
+  const [pendingCount, setPendingCount] = useState(0)
+  const [syncIssues, setSyncIssues] = useState([])
+  const syncingRef = useRef(false)
+  const onSyncedRef = useRef(onSynced)
+
+  useEffect(() => {
+    onSyncedRef.current = onSynced
+  })
+
+  const refreshCount = useCallback(async () => {
+    setPendingCount((await getQueuedMutations(userId)).length)
+  }, [userId])
+
+  const sync = useCallback(async () => {
+    if (!userId || syncingRef.current) return
+
+    const mutations = await getQueuedMutations(userId)
+    if (mutations.length === 0) return
+
+    syncingRef.current = true
+    setSyncing(true)
+    const issues = []
+    let sent = 0
+
+    for (const mutation of mutations) {
+      try {
+        const conflict = await replayMutation(mutation)
+        if (conflict) issues.push(conflict)
+        sent += 1
+      } catch (err) {
+        // Still unreachable: keep this and everything after it for the next attempt
+        if (isNetworkError(err)) break
+        issues.push(`A queued change was rejected by the server: ${err.message}`)
+        sent += 1
+      }
+      await removeMutation(mutation.id)
+    }
+
+    syncingRef.current = false
+    setSyncing(false)
+    if (issues.length > 0) setSyncIssues((prev) => [...prev, ...issues])
+    await refreshCount()
+    if (sent > 0 && onSyncedRef.current) onSyncedRef.current()
+  }, [userId, refreshCount])
+
+  const queueMutation = useCallback(
+    async (mutation) => {
+      await enqueue(userId, mutation)
+      await refreshCount()
+    },
+    [userId, refreshCount],
+  )
+
+  useEffect(() => {
+    refreshCount()
+  }, [refreshCount])
+
+  useEffect(() => {
+    if (isOnline) sync()
+  }, [isOnline, sync])
+
+  useEffect(() => {
+    if (!isOnline || pendingCount === 0) return
+    const timer = setInterval(sync, RETRY_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [isOnline, pendingCount, sync])
+
+  const dismissSyncIssues = useCallback(() => setSyncIssues([]), [])
+
+  return { isOnline, syncing, pendingCount, syncIssues, dismissSyncIssues, queueMutation }
+}
+
+export default useOfflineSync
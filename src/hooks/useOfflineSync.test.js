@@ -0,0 +1,92 @@
+import { tasksApi, ApiError } from "../services/api"
+import { conflictBase, replayMutation } from "./useOfflineSync"
+
+jest.mock("../services/api", () => {
+  class ApiError extends Error {
+    constructor(message, status) {
+      super(message)
+      this.status = status
+    }
+  }
+  return {
+    ApiError,
+    isNetworkError: () => false,
+    tasksApi: { get: jest.fn(), create: jest.fn(), update: jest.fn(), remove: jest.fn() },
+  }
+})
+jest.mock("../services/offlineStore", () => ({}))
+
+const task = {
+  _id: "t1",
+  title: "Write report",
+  description: "",
+  status: "To Do",
+  priority: "Medium",
+  dueDate: "2026-10-20T00:00:00.000Z",
+  employee: { _id: "u1" },
+}
+
+beforeEach(() => jest.resetAllMocks())
+
+describe("conflictBase", () => {
+  it("keeps only the fields a conflict is judged on", () => {
+    expect(conflictBase(task)).toEqual({
+      title: "Write report",
+      description: "",
+      status: "To Do",
+      priority: "Medium",
+      dueDate: "2026-10-20T00:00:00.000Z",
+    })
+  })
+})
+
+describe("replayMutation", () => {
+  const update = { type: "update", taskId: "t1", data: { status: "Done" }, base: conflictBase(task) }
+
+  it("applies an update when the server copy is unchanged", async () => {
+    tasksApi.get.mockResolvedValue(task)
+    expect(await replayMutation(update)).toBeNull()
+    expect(tasksApi.update).toHaveBeenCalledWith("t1", { status: "Done" })
+  })
+
+  it("ignores differences the form can't produce, like the time of a due date or a missing description", async () => {
+    const { description, ...withoutDescription } = task
+    tasksApi.get.mockResolvedValue({ ...withoutDescription, dueDate: "2026-10-20T15:30:00.000Z" })
+    expect(await replayMutation(update)).toBeNull()
+    expect(tasksApi.update).toHaveBeenCalled()
+  })
+
+  it("reports a conflict and skips the update when someone else changed the task", async () => {
+    tasksApi.get.mockResolvedValue({ ...task, title: "Write final report" })
+    expect(await replayMutation(update)).toBe(
+      '"Write final report" was changed by someone else; your offline edits were not applied',
+    )
+    expect(tasksApi.update).not.toHaveBeenCalled()
+  })
+
+  it("keeps a task someone else changed instead of deleting it", async () => {
+    tasksApi.get.mockResolvedValue({ ...task, dueDate: "2026-10-21" })
+    expect(await replayMutation({ ...update, type: "delete" })).toBe(
+      '"Write report" was changed by someone else, so it was not deleted',
+    )
+    expect(tasksApi.remove).not.toHaveBeenCalled()
+  })
+
+  it("reports an update to a task deleted meanwhile, but treats a delete as done", async () => {
+    tasksApi.get.mockRejectedValue(new ApiError("Task not found", 404))
+    expect(await replayMutation(update)).toBe('"Write report" was deleted while you were offline')
+    expect(await replayMutation({ ...update, type: "delete" })).toBeNull()
+    expect(tasksApi.remove).not.toHaveBeenCalled()
+  })
+
+  it("passes other errors on so the sync loop can decide to retry", async () => {
+    tasksApi.get.mockRejectedValue(new ApiError("Network Error", null))
+    await expect(replayMutation(update)).rejects.toThrow("Network Error")
+  })
+
+  it("sends creates without a conflict check", async () => {
+    await replayMutation({ type: "create", tempId: "offline-1", data: { title: "New" } })
+    expect(tasksApi.create).toHaveBeenCalledWith({ title: "New" })
+    expect(tasksApi.get).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,23 @@
+import { useState, useEffect } from "react"
+
+// Tracks the browser's online/offline events. navigator.onLine can report true while the API is
+// unreachable, so callers should still treat network errors as being offline.
+const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine)
+
+  useEffect(() => {
+    const goOnline = () => setIsOnline(true)
+    const goOffline = () => setIsOnline(false)
+
+    window.addEventListener("online", goOnline)
+    window.addEventListener("offline", goOffline)
+    return () => {
+      window.removeEventListener("online", goOnline)
+      window.removeEventListener("offline", goOffline)
+    }
+  }, [])
+
+  return isOnline
+}
+
+export default useOnlineStatus
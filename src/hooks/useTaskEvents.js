@@ -0,0 +1,31 @@
+import { useState, useEffect, useContext, useRef } from "react"
+import { AuthContext } from "../context/AuthContext"
+import { subscribeToTaskEvents } from "../services/taskEvents"
+
+// Subscribe to live task events for as long as the component is mounted.
+// Events caused by the current user are skipped, since their own state is already up to date.
+const useTaskEvents = (onEvent) => {
+  const { user } = useContext(AuthContext)
+  const [status, setStatus] = useState("connecting")
+  const onEventRef = useRef(onEvent)
+
+  useEffect(() => {
+    onEventRef.current = onEvent
+  })
+
+  useEffect(() => {
+    if (!user?.token) return
+
+    return subscribeToTaskEvents(user.token, {
+      onEvent: (event) => {
+        if (event.actorId && event.actorId === user.id) return
+        onEventRef.current(event)
+      },
+      onStatusChange: setStatus,
+    })
+  }, [user])
+
+  return status
+}
+
+export default useTaskEvents
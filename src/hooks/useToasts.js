@@ -0,0 +1,39 @@
+import { useState, useEffect, useCallback, useRef } from "react"
+
+// Info toasts fade on their own; error toasts stay until dismissed so the reason isn't missed
+const INFO_TOAST_MS = 5000
+
+let nextToastId = 1
+
+// Stack of dismissible messages. A toast can carry one action, e.g. { label: "Undo", onClick }.
+const useToasts = () => {
+  const [toasts, setToasts] = useState([])
+  const timers = useRef({})
+
+  const dismissToast = useCallback((id) => {
+    clearTimeout(timers.current[id])
+    delete timers.current[id]
+    setToasts((prev) => prev.filter((toast) => toast.id !== id))
+  }, [])
+
+  const showToast = useCallback(
+    ({ message, type = "error", action = null, duration = type === "error" ? null : INFO_TOAST_MS }) => {
+      const id = nextToastId++
+      setToasts((prev) => [...prev, { id, message, type, action }])
+      if (duration) {
+        timers.current[id] = setTimeout(() => dismissToast(id), duration)
+      }
+      return id
+    },
+    [dismissToast],
+  )
+
+  useEffect(() => {
+    const pendingTimers = timers.current
+    return () => Object.values(pendingTimers).forEach(clearTimeout)
+  }, [])
+
+  return { toasts, showToast, dismissToast }
+}
+
+export default useToasts
@@ -0,0 +1,70 @@
+import { useState, useEffect, useRef, useCallback } from "react"
+
+// Renders a long list a page at a time, keeping at most maxPages pages in the DOM. Scrolling down
+// past the last page adds the next one and, once the window is full, drops the first; scrolling back
+// up does the reverse. Rows can have any height, so this works in pages rather than pixels and relies
+// on the browser's scroll anchoring to keep the viewport still as rows come and go above it.
+//
+// Attach topRef and bottomRef to elements rendered just before and after the visible items; they
+// move the window when scrolled into view. resetKey returns the window to the top when it changes.
+const useWindowedList = (items, { pageSize = 50, maxPages = 3, resetKey = "" } = {}) => {
+  const [firstPage, setFirstPage] = useState(0)
+  const [pageCount, setPageCount] = useState(1)
+  const topRef = useRef(null)
+  const bottomRef = useRef(null)
+
+  useEffect(() => {
+    setFirstPage(0)
+    setPageCount(1)
+  }, [resetKey])
+
+  // The list can shrink under the window, e.g. after deletes
+  const lastPage = Math.max(0, Math.ceil(items.length / pageSize) - 1)
+  const first = Math.min(firstPage, lastPage)
+  const start = first * pageSize
+  const end = Math.min(items.length, (first + pageCount) * pageSize)
+  const hasPrevious = start > 0
+  const hasNext = end < items.length
+
+  const showNext = useCallback(() => {
+    if (pageCount < maxPages) setPageCount(pageCount + 1)
+    else setFirstPage(first + 1)
+  }, [first, pageCount, maxPages])
+
+  const showPrevious = useCallback(() => {
+    setFirstPage(first - 1)
+    if (pageCount < maxPages) setPageCount(pageCount + 1)
+  }, [first, pageCount, maxPages])
+
+  // The "Show previous" / "Load more" buttons cover browsers without IntersectionObserver
+  useEffect(() => {
+    if (typeof IntersectionObserver === "undefined") return
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        // One move per callback; the observer is set up again once the window has changed
+        const visible = entries.filter((entry) => entry.isIntersecting).map((entry) => entry.target)
+        if (visible.includes(bottomRef.current)) showNext()
+        else if (visible.includes(topRef.current)) showPrevious()
+      },
+      { rootMargin: "200px" },
+    )
+    if (hasPrevious && topRef.current) observer.observe(topRef.current)
+    if (hasNext && bottomRef.current) observer.observe(bottomRef.current)
+    return () => observer.disconnect()
+  }, [hasNext, hasPrevious, showNext, showPrevious])
+
+  return {
+    visibleItems: items.slice(start, end),
+    start,
+    end,
+    hasPrevious,
+    hasNext,
+    showPrevious,
+    showNext,
+    topRef,
+    bottomRef,
+  }
+}
+
+export default useWindowedList
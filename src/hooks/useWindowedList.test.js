@@ -0,0 +1,54 @@
+import { renderHook, act } from "@testing-library/react"
+import useWindowedList from "./useWindowedList"
+
+const items = Array.from({ length: 25 }, (_, i) => i)
+const options = { pageSize: 5, maxPages: 2 }
+
+describe("useWindowedList", () => {
+  it("adds pages until the window is full, then slides it down", () => {
+    const { result } = renderHook(() => useWindowedList(items, options))
+    expect(result.current.visibleItems).toEqual([0, 1, 2, 3, 4])
+    expect(result.current.hasPrevious).toBe(false)
+
+    act(() => result.current.showNext())
+    expect(result.current.visibleItems).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9])
+
+    act(() => result.current.showNext())
+    expect(result.current.visibleItems).toEqual([5, 6, 7, 8, 9, 10, 11, 12, 13, 14])
+    expect(result.current.start).toBe(5)
+    expect(result.current.hasPrevious).toBe(true)
+
+    act(() => result.current.showPrevious())
+    expect(result.current.visibleItems).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9])
+    expect(result.current.hasPrevious).toBe(false)
+  })
+
+  it("stops at the end of the list", () => {
+    const { result } = renderHook(() => useWindowedList(items, options))
+    for (let i = 0; i < 4; i++) act(() => result.current.showNext())
+    expect(result.current.visibleItems).toEqual([15, 16, 17, 18, 19, 20, 21, 22, 23, 24])
+    expect(result.current.hasNext).toBe(false)
+  })
+
+  it("keeps the window inside a list that shrinks under it", () => {
+    const { result, rerender } = renderHook(({ list }) => useWindowedList(list, options), {
+      initialProps: { list: items },
+    })
+    for (let i = 0; i < 4; i++) act(() => result.current.showNext())
+
+    rerender({ list: items.slice(0, 7) })
+    expect(result.current.visibleItems).toEqual([5, 6])
+    expect(result.current.hasPrevious).toBe(true)
+  })
+
+  it("goes back to the top when the reset key changes", () => {
+    const { result, rerender } = renderHook(({ resetKey }) => useWindowedList(items, { ...options, resetKey }), {
+      initialProps: { resetKey: "a" },
+    })
+    act(() => result.current.showNext())
+    act(() => result.current.showNext())
+
+    rerender({ resetKey: "b" })
+    expect(result.current.visibleItems).toEqual([0, 1, 2, 3, 4])
+  })
+})
@@ -0,0 +1,36 @@
+/* eslint-disable no-restricted-globals */
+
+// Built by react-scripts with Workbox's InjectManifest: the app shell is precached so the
+// dashboards still load offline. Task data is cached by the app itself in IndexedDB.
+import { clientsClaim } from "workbox-core"
+import { ExpirationPlugin } from "workbox-expiration"
+import { precacheAndRoute, createHandlerBoundToURL } from "workbox-precaching"
+import { registerRoute } from "workbox-routing"
+import { StaleWhileRevalidate } from "workbox-strategies"
+
+clientsClaim()
+
+precacheAndRoute(self.__WB_MANIFEST)
+
+// Serve index.html for every navigation so client-side routes work offline
+const fileExtensionRegexp = new RegExp("/[^/?]+\\.[^/]+$")
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false
+  if (url.pathname.startsWith("/_")) return false
+  if (url.pathname.match(fileExtensionRegexp)) return false
+  return true
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"))
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith(".png"),
+  new StaleWhileRevalidate({
+    cacheName: "images",
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  }),
+)
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting()
+  }
+})
@@ -0,0 +1,21 @@
+// Registers src/service-worker.js (compiled to /service-worker.js) in production builds only,
+// so development never serves stale bundles from the cache.
+export function register() {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return
+
+  // The service worker won't work if PUBLIC_URL is on a different origin from the page
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href)
+  if (publicUrl.origin !== window.location.origin) return
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((error) => console.error("Error during service worker registration:", error))
+  })
+}
+
+export function unregister() {
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.ready.then((registration) => registration.unregister()).catch(() => {})
+  }
+}
@@ -0,0 +1,235 @@
+import axios from "axios"
+import { recordSavedTask, recordFetchedTasks } from "./taskFields"
+
+// Backend root, e.g. http://localhost:5000 for a local server. Set REACT_APP_API_URL in .env.local to override.
+export const API_BASE_URL = (process.env.REACT_APP_API_URL || "https://employeetaskbackend.onrender.com").replace(/\/+$/, "")
+
+const client = axios.create({
+  baseURL: `${API_BASE_URL}/api`,
+})
+
+let authToken = null
+
+// Called by AuthContext whenever the session changes
+export const setAuthToken = (token) => {
+  authToken = token || null
+}
+
+let onUnauthorized = null
+
+// Called with no arguments once the backend has rejected the session's token
+export const setUnauthorizedHandler = (handler) => {
+  onUnauthorized = handler
+}
+
+client.interceptors.request.use((config) => {
+  if (authToken && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${authToken}`
+  }
+  return config
+})
+
+// Error thrown by every service call, so components only ever read err.message / err.status
+export class ApiError extends Error {
+  constructor(message, status = null, data = null) {
+    super(message)
+    this.name = "ApiError"
+    this.status = status
+    this.data = data
+  }
+}
+
+// True when the request never got a response (offline, DNS failure, server down)
+export const isNetworkError = (error) => error instanceof ApiError && error.status === null
+
+// protect's answer for a missing, invalid or expired token. Ownership and permission checks also
+// answer 401 ("Not authorized to update this task"), and those must not end the session.
+const INVALID_TOKEN_MESSAGE = "Not authorized to access this route"
+
+// Asks the backend whether the token is still accepted; a 401 from /auth/me ends the session.
+// Resolves false in that case, and true when the session is fine or couldn't be checked.
+export const verifySession = () =>
+  client.get("/auth/me", { sessionCheck: true }).then(
+    () => true,
+    (error) => error.status !== 401,
+  )
+
+const readBlobMessage = async (blob) => {
+  try {
+    return JSON.parse(await blob.text()).message
+  } catch (e) {
+    return null
+  }
+}
+
+client.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    if (axios.isCancel(error)) return Promise.reject(error)
+
+    const { response } = error
+    if (!response) {
+      return Promise.reject(new ApiError("Unable to reach the server. Check your connection and try again."))
+    }
+
+    let message = response.data?.message
+    if (response.data instanceof Blob) {
+      message = await readBlobMessage(response.data)
+    }
+    if (Array.isArray(message)) {
+      message = message.join(", ")
+    }
+
+    // A failed login is also a 401, so only requests that carried a token can end the session.
+    // Other 401s are permission checks unless /auth/me is refused too.
+    if (response.status === 401 && error.config?.headers?.Authorization && onUnauthorized) {
+      if (error.config.sessionCheck || message === INVALID_TOKEN_MESSAGE) {
+        onUnauthorized()
+      } else {
+        verifySession()
+      }
+    }
+
+    return Promise.reject(new ApiError(message || error.message || "Server Error", response.status, response.data))
+  },
+)
+
+const unwrap = (request) => request.then((response) => response.data)
+
+// Config for a request that must carry a particular session's token, such as one sent while that
+// session is logging out, after setAuthToken(null) has already run
+const authorizedAs = (token) => (token ? { headers: { Authorization: `Bearer ${token}` } } : {})
+
+// Runs fn on a response and passes the response on unchanged
+const tap = (fn) => (data) => {
+  fn(data)
+  return data
+}
+
+export const authApi = {
+  login: (credentials) => unwrap(client.post("/auth/login", credentials)),
+  register: (userData) => unwrap(client.post("/auth/register", userData)),
+  me: () => unwrap(client.get("/auth/me")),
+}
+
+// Recurring tasks carry a `recurrence` rule (see utils/recurrence.js). The dashboards create the
+// next instance with tasksApi.create when one is marked Done.
+// The dashboards send completedAt with any change into or out of Done; the Task model needs a
+// completedAt Date field to keep it.
+// `blockedBy` lists the tasks that must be Done first (see utils/dependencies.js). The backend rejects
+// dependency cycles, and when a task moves to Done it sends an "unblocked" notification to the
+// assignee of every task that no longer has an open blocker.
+// These fields and the others in services/taskFields.js need the backend changes listed in README.md;
+// responses are checked so the forms hide fields the backend doesn't keep.
+export const tasksApi = {
+  getAll: () => unwrap(client.get("/tasks")).then(tap(recordFetchedTasks)),
+  getByEmployee: (employeeId) => unwrap(client.get(`/tasks/employee/${employeeId}`)).then(tap(recordFetchedTasks)),
+  get: (id) => unwrap(client.get(`/tasks/${id}`)),
+  create: (task) => unwrap(client.post("/tasks", task)).then(tap((saved) => recordSavedTask(task, saved))),
+  update: (id, task) => unwrap(client.put(`/tasks/${id}`, task)).then(tap((saved) => recordSavedTask(task, saved))),
+  // token is only needed when the delete may outlive the session, e.g. an undo window closing on logout
+  remove: (id, token) => unwrap(client.delete(`/tasks/${id}`, authorizedAs(token))),
+}
+
+// Comments come back as { _id, text, author: { _id, name, role }, createdAt, updatedAt }
+export const commentsApi = {
+  getAll: (taskId) => unwrap(client.get(`/tasks/${taskId}/comments`)),
+  create: (taskId, text) => unwrap(client.post(`/tasks/${taskId}/comments`, { text })),
+  update: (taskId, commentId, text) => unwrap(client.put(`/tasks/${taskId}/comments/${commentId}`, { text })),
+  remove: (taskId, commentId) => unwrap(client.delete(`/tasks/${taskId}/comments/${commentId}`)),
+}
+
+// History entries are written by the backend whenever a task changes and are never edited or removed:
+// { _id, action: "created" | "updated" | "deleted", field, oldValue, newValue,
+//   task: { _id, title }, employee: { _id, name, department }, changedBy: { _id, name, role }, createdAt }
+// An "updated" entry describes a single field; the others leave field and values empty.
+export const historyApi = {
+  getForTask: (taskId) => unwrap(client.get(`/tasks/${taskId}/history`)),
+  // Admins only; params may include employeeId, department, startDate and endDate, plus page (from 1)
+  // and limit. Resolves with { entries, total }, newest first, where total counts every matching entry.
+  getAuditLog: (params = {}) => unwrap(client.get("/audit-log", { params })),
+}
+
+// Time logged against a task: { _id, user: { _id, name }, minutes, date, startedAt, endedAt, note, manual, createdAt }.
+// Timer entries have startedAt/endedAt; manual ones only a date. Tasks carry the total as loggedMinutes.
+export const timeEntriesApi = {
+  getAll: (taskId) => unwrap(client.get(`/tasks/${taskId}/time-entries`)),
+  create: (taskId, entry) => unwrap(client.post(`/tasks/${taskId}/time-entries`, entry)),
+  update: (taskId, entryId, changes) => unwrap(client.put(`/tasks/${taskId}/time-entries/${entryId}`, changes)),
+  remove: (taskId, entryId) => unwrap(client.delete(`/tasks/${taskId}/time-entries/${entryId}`)),
+  // Entries across tasks, each with task: { _id, title }. params: startDate, endDate, and employeeId for admins.
+  search: (params = {}) => unwrap(client.get("/time-entries", { params })),
+}
+
+// Weekly timesheets: { _id, employee: { _id, name, department }, weekStart, status, totalMinutes,
+//   submittedAt, reviewedBy: { _id, name }, reviewComment }. status is draft, submitted, approved or rejected.
+// The backend refuses time entry changes in weeks whose timesheet is submitted or approved.
+export const timesheetsApi = {
+  // Resolves with null when nothing has been saved for that week yet
+  getMine: (weekStart) => unwrap(client.get("/timesheets/me", { params: { weekStart } })),
+  submit: (weekStart) => unwrap(client.post("/timesheets/submit", { weekStart })),
+  // Admins only; params may include status
+  getAll: (params = {}) => unwrap(client.get("/timesheets", { params })),
+  // status is "approved" or "rejected"
+  review: (id, status, comment) => unwrap(client.put(`/timesheets/${id}/review`, { status, comment })),
+}
+
+// Files attached to a task: { _id, filename, mimeType, size, uploadedBy: { _id, name }, createdAt }.
+// The backend is expected to keep the bytes in its configured storage adapter (local disk by default)
+// and to enforce the same size and type limits as utils/attachments.js; see README.md.
+export const attachmentsApi = {
+  getAll: (taskId) => unwrap(client.get(`/tasks/${taskId}/attachments`)),
+  // onProgress receives a 0-100 percentage while the file uploads
+  upload: (taskId, file, onProgress) => {
+    const formData = new FormData()
+    formData.append("file", file)
+    return unwrap(
+      client.post(`/tasks/${taskId}/attachments`, formData, {
+        onUploadProgress: (event) => {
+          if (onProgress && event.total) onProgress(Math.round((event.loaded / event.total) * 100))
+        },
+      }),
+    )
+  },
+  // Resolves with the file as a Blob; requests need the auth header, so files can't be linked directly
+  download: (taskId, attachmentId) =>
+    unwrap(client.get(`/tasks/${taskId}/attachments/${attachmentId}/file`, { responseType: "blob" })),
+  remove: (taskId, attachmentId) => unwrap(client.delete(`/tasks/${taskId}/attachments/${attachmentId}`)),
+}
+
+// Notifications for the logged-in user: { _id, type, message, task: { _id, title }, read, createdAt }
+export const notificationsApi = {
+  getAll: () => unwrap(client.get("/notifications")),
+  markRead: (id) => unwrap(client.put(`/notifications/${id}/read`)),
+  markAllRead: () => unwrap(client.put("/notifications/read-all")),
+}
+
+export const departmentsApi = {
+  getAll: () => unwrap(client.get("/departments")),
+  getPublic: () => unwrap(client.get("/departments/public")),
+  create: (department) => unwrap(client.post("/departments", department)),
+  update: (id, department) => unwrap(client.put(`/departments/${id}`, department)),
+  remove: (id) => unwrap(client.delete(`/departments/${id}`)),
+}
+
+export const usersApi = {
+  getAll: () => unwrap(client.get("/users")),
+  get: (id) => unwrap(client.get(`/users/${id}`)),
+  // Accepts any of { department, role, active }
+  update: (id, changes) => unwrap(client.put(`/users/${id}`, changes)),
+}
+
+export const exportApi = {
+  // type is "excel" or "pdf"; resolves with the file as a Blob.
+  // params: department, startDate, endDate, includeTime=true to add logged vs estimated hours,
+  // and includeTimesheets=true to add a sheet of approved timesheets.
+  tasks: (type, params = {}) =>
+    unwrap(
+      client.get(type === "excel" ? "/tasks/export" : "/tasks/export-pdf", {
+        params,
+        responseType: "blob",
+      }),
+    ),
+}
+
+export default client
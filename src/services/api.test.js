@@ -0,0 +1,99 @@
+import axios from "axios"
+
+// Every request the client makes is answered from `responses`, keyed by "METHOD /path"
+let responses
+let requests
+let lastAuthorization
+
+const reply = (config, status, data) => {
+  const response = { status, data, headers: {}, config, statusText: "" }
+  if (status < 400) return Promise.resolve(response)
+  const error = new axios.AxiosError(`Request failed with status code ${status}`, "ERR_BAD_REQUEST", config)
+  error.response = response
+  return Promise.reject(error)
+}
+
+// The client copies axios' defaults when it is created, so the adapter has to be in place before api.js loads
+axios.defaults.adapter = (config) => {
+  const key = `${config.method.toUpperCase()} ${config.url}`
+  requests.push(key)
+  lastAuthorization = config.headers.Authorization
+  const [status, data] = responses[key] || [404, { message: "Not found" }]
+  return reply(config, status, data)
+}
+const { tasksApi, authApi, setAuthToken, setUnauthorizedHandler, verifySession } = require("./api")
+
+const onUnauthorized = jest.fn()
+
+beforeEach(() => {
+  responses = {}
+  requests = []
+  onUnauthorized.mockReset()
+  setAuthToken("token")
+  setUnauthorizedHandler(onUnauthorized)
+})
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+describe("401 handling", () => {
+  it("ends the session when protect rejects the token", async () => {
+    responses["GET /tasks"] = [401, { message: "Not authorized to access this route" }]
+    await expect(tasksApi.getAll()).rejects.toMatchObject({ status: 401 })
+    expect(onUnauthorized).toHaveBeenCalledTimes(1)
+  })
+
+  it("leaves the session alone for a permission 401 while /auth/me still works", async () => {
+    responses["PUT /tasks/t1"] = [401, { message: "Not authorized to update this task" }]
+    responses["GET /auth/me"] = [200, { success: true, data: { _id: "u1" } }]
+
+    await expect(tasksApi.update("t1", { status: "Done" })).rejects.toMatchObject({
+      status: 401,
+      message: "Not authorized to update this task",
+    })
+    await flush()
+    expect(requests).toEqual(["PUT /tasks/t1", "GET /auth/me"])
+    expect(onUnauthorized).not.toHaveBeenCalled()
+  })
+
+  it("ends the session when /auth/me is refused after a permission 401", async () => {
+    responses["GET /tasks/t1"] = [401, { message: "Not authorized to access this task" }]
+    responses["GET /auth/me"] = [401, { message: "Token expired" }]
+
+    await expect(tasksApi.get("t1")).rejects.toMatchObject({ status: 401 })
+    await flush()
+    expect(onUnauthorized).toHaveBeenCalledTimes(1)
+  })
+
+  it("doesn't end a session for a failed login", async () => {
+    setAuthToken(null)
+    responses["POST /auth/login"] = [401, { message: "Invalid credentials" }]
+    await expect(authApi.login({ email: "a@example.com", password: "x" })).rejects.toMatchObject({ status: 401 })
+    await flush()
+    expect(requests).toEqual(["POST /auth/login"])
+    expect(onUnauthorized).not.toHaveBeenCalled()
+  })
+})
+
+describe("tasksApi.remove", () => {
+  it("sends a delete with the token it was given after the session has been cleared", async () => {
+    setAuthToken(null)
+    responses["DELETE /tasks/t1"] = [200, {}]
+    await tasksApi.remove("t1", "earlier-token")
+    expect(lastAuthorization).toBe("Bearer earlier-token")
+  })
+})
+
+describe("verifySession", () => {
+  it("resolves whether the token is still accepted", async () => {
+    responses["GET /auth/me"] = [200, {}]
+    expect(await verifySession()).toBe(true)
+
+    responses["GET /auth/me"] = [500, { message: "Server Error" }]
+    expect(await verifySession()).toBe(true)
+    expect(onUnauthorized).not.toHaveBeenCalled()
+
+    responses["GET /auth/me"] = [401, { message: "Not authorized to access this route" }]
+    expect(await verifySession()).toBe(false)
+    expect(onUnauthorized).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,67 @@
+// IndexedDB storage for offline use: the last task list fetched for each user, and the task
+// changes made while offline, waiting to be replayed against the API.
+//
+// Queued mutations look like:
+//   { userId, type: "create", tempId, data }
+//   { userId, type: "update", taskId, data, base }
+//   { userId, type: "delete", taskId, base }
+// where base is the task as it was before the change, used to spot conflicts on replay.
+
+const DB_NAME = "employee-task-offline"
+const DB_VERSION = 1
+const TASKS_STORE = "tasks"
+const MUTATIONS_STORE = "mutations"
+
+let dbPromise = null
+
+const openDb = () => {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null)
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        db.createObjectStore(TASKS_STORE, { keyPath: "userId" })
+        const mutations = db.createObjectStore(MUTATIONS_STORE, { keyPath: "id", autoIncrement: true })
+        mutations.createIndex("userId", "userId")
+      }
+      request.onsuccess = () => resolve(request.result)
+      // Private browsing in some browsers refuses IndexedDB; carry on without offline storage
+      request.onerror = () => resolve(null)
+    })
+  }
+  return dbPromise
+}
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+const withStore = async (storeName, mode, callback) => {
+  const db = await openDb()
+  if (!db) return null
+  return promisify(callback(db.transaction(storeName, mode).objectStore(storeName)))
+}
+
+export const cacheTasks = (userId, tasks, cachedAt = Date.now()) =>
+  withStore(TASKS_STORE, "readwrite", (store) => store.put({ userId, tasks, cachedAt }))
+
+// Resolves with { userId, tasks, cachedAt }, or null if nothing was cached
+export const getCachedTasks = async (userId) =>
+  (await withStore(TASKS_STORE, "readonly", (store) => store.get(userId))) || null
+
+// Oldest first, so they replay in the order they were made
+export const getQueuedMutations = async (userId) => {
+  const mutations = await withStore(MUTATIONS_STORE, "readonly", (store) => store.index("userId").getAll(userId))
+  return (mutations || []).sort((a, b) => a.id - b.id)
+}
+
+export const addMutation = (mutation) => withStore(MUTATIONS_STORE, "readwrite", (store) => store.add(mutation))
+
+export const putMutation = (mutation) => withStore(MUTATIONS_STORE, "readwrite", (store) => store.put(mutation))
+
+export const removeMutation = (id) => withStore(MUTATIONS_STORE, "readwrite", (store) => store.delete(id))
@@ -0,0 +1,81 @@
+import { API_BASE_URL, verifySession } from "./api"
+
+// Stream of task changes; override REACT_APP_EVENTS_URL to point at scripts/mock-task-events.js
+const EVENTS_BASE_URL = (process.env.REACT_APP_EVENTS_URL || API_BASE_URL).replace(/\/+$/, "")
+
+const INITIAL_RETRY_MS = 1000
+const MAX_RETRY_MS = 30000
+
+// Event data: { task, actorId } for created/updated, { taskId, actorId } for deleted
+export const TASK_EVENT_TYPES = ["task:created", "task:updated", "task:deleted"]
+
+// Open the server-sent event stream and keep it open, reconnecting with exponential backoff.
+// onStatusChange receives "connected", "reconnecting" or "unsupported". Returns an unsubscribe function.
+// EventSource doesn't expose the status of a refused stream, so before reconnecting the token is
+// checked with verifySession; if the backend no longer accepts it the session ends and retries stop.
+export const subscribeToTaskEvents = (token, { onEvent, onStatusChange = () => {} }) => {
+  if (typeof EventSource === "undefined") {
+    onStatusChange("unsupported")
+    return () => {}
+  }
+
+  let source = null
+  let retryTimer = null
+  let retryDelay = INITIAL_RETRY_MS
+  let closed = false
+
+  const scheduleReconnect = async () => {
+    if (closed) return
+    onStatusChange("reconnecting")
+    source.close()
+
+    const sessionValid = await verifySession()
+    if (closed || !sessionValid) {
+      closed = true
+      return
+    }
+    retryTimer = setTimeout(connect, retryDelay)
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS)
+  }
+
+  const connect = () => {
+    // EventSource cannot send headers, so the token travels in the query string
+    source = new EventSource(`${EVENTS_BASE_URL}/api/tasks/events?token=${encodeURIComponent(token)}`)
+
+    source.onopen = () => {
+      retryDelay = INITIAL_RETRY_MS
+      onStatusChange("connected")
+    }
+
+    const current = source
+    current.onerror = () => {
+      // The browser retries dropped connections itself; it gives up only when the stream is closed.
+      // Browsers mark the stream closed before the error fires, polyfills like eventsource right after it.
+      onStatusChange("reconnecting")
+      setTimeout(() => {
+        if (current === source && current.readyState === EventSource.CLOSED) scheduleReconnect()
+      }, 0)
+    }
+
+    TASK_EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, (e) => {
+        let data
+        try {
+          data = JSON.parse(e.data)
+        } catch (err) {
+          console.error("Ignoring malformed task event:", err)
+          return
+        }
+        onEvent({ type, ...data })
+      })
+    })
+  }
+
+  connect()
+
+  return () => {
+    closed = true
+    clearTimeout(retryTimer)
+    source.close()
+  }
+}
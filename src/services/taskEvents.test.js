@@ -0,0 +1,172 @@
+/**
+ * @jest-environment node
+ */
+import EventSource from "eventsource"
+import { createMockEventServer } from "../../scripts/mock-task-events"
+import { applyTaskEvent } from "../utils/tasks"
+import { verifySession } from "./api"
+
+// Only the session check is needed from the API layer; the stream itself goes to the mock server
+jest.mock("./api", () => ({ API_BASE_URL: "http://127.0.0.1:1", verifySession: jest.fn() }))
+
+const waitFor = async (check, timeout = 4000) => {
+  const started = Date.now()
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error("Timed out waiting for the event stream")
+    await new Promise((resolve) => setTimeout(resolve, 20))
+  }
+}
+
+describe("subscribeToTaskEvents against the mock event server", () => {
+  let mock
+  let rejectedTokens
+  let refusedAttempts
+  let subscribeToTaskEvents
+  let unsubscribe
+  let events
+  let statuses
+
+  beforeAll(async () => {
+    global.EventSource = EventSource
+    rejectedTokens = new Set()
+    mock = createMockEventServer({
+      acceptToken: (token) => {
+        if (!rejectedTokens.has(token)) return true
+        refusedAttempts += 1
+        return false
+      },
+    })
+    await new Promise((resolve) => mock.server.listen(0, "127.0.0.1", resolve))
+
+    // The events URL is read when the module loads, so it is required once the port is known
+    process.env.REACT_APP_EVENTS_URL = `http://127.0.0.1:${mock.server.address().port}`
+    ;({ subscribeToTaskEvents } = require("./taskEvents"))
+  })
+
+  afterAll(async () => {
+    delete global.EventSource
+    delete process.env.REACT_APP_EVENTS_URL
+    mock.disconnectAll()
+    await new Promise((resolve) => mock.server.close(resolve))
+  })
+
+  const subscribe = (token = "token") => {
+    events = []
+    statuses = []
+    refusedAttempts = 0
+    unsubscribe = subscribeToTaskEvents(token, {
+      onEvent: (event) => events.push(event),
+      onStatusChange: (status) => statuses.push(status),
+    })
+  }
+
+  const isConnected = () => mock.clientCount() === 1 && statuses[statuses.length - 1] === "connected"
+
+  beforeEach(() => {
+    verifySession.mockResolvedValue(true)
+  })
+
+  afterEach(() => {
+    unsubscribe()
+    mock.disconnectAll()
+  })
+
+  it("delivers events that applyTaskEvent merges into a list", async () => {
+    subscribe()
+    await waitFor(isConnected)
+    expect(statuses).toEqual(["connected"])
+
+    mock.broadcast({ type: "task:created", task: { _id: "1", title: "Write report", status: "To Do" } })
+    mock.broadcast({ type: "task:updated", task: { _id: "1", status: "Done" }, actorId: "u2" })
+    mock.broadcast({ type: "task:created", task: { _id: "2", title: "Review", status: "To Do" } })
+    mock.broadcast({ type: "task:deleted", taskId: "2" })
+    await waitFor(() => events.length === 4)
+
+    expect(events[1]).toEqual({ type: "task:updated", task: { _id: "1", status: "Done" }, actorId: "u2" })
+    const tasks = events.reduce(applyTaskEvent, [])
+    expect(tasks).toEqual([{ _id: "1", title: "Write report", status: "Done", liveUpdatedAt: expect.any(Number) }])
+  })
+
+  it("skips malformed events and keeps listening", async () => {
+    const consoleError = jest.spyOn(console, "error").mockImplementation(() => {})
+    subscribe()
+    await waitFor(isConnected)
+
+    mock.sendRaw("task:updated", "{not json")
+    mock.broadcast({ type: "task:deleted", taskId: "9" })
+    await waitFor(() => events.length === 1)
+
+    expect(events).toEqual([{ type: "task:deleted", taskId: "9" }])
+    expect(consoleError).toHaveBeenCalledWith("Ignoring malformed task event:", expect.any(SyntaxError))
+    consoleError.mockRestore()
+  })
+
+  it("reconnects when the server drops the stream", async () => {
+    subscribe()
+    await waitFor(isConnected)
+
+    mock.disconnectAll()
+    await waitFor(() => statuses.includes("reconnecting"))
+    await waitFor(isConnected)
+
+    mock.broadcast({ type: "task:deleted", taskId: "3" })
+    await waitFor(() => events.length === 1)
+    expect(events[0].taskId).toBe("3")
+  })
+
+  it("backs off and opens a new stream after a refusal while the session is still valid", async () => {
+    rejectedTokens.add("flaky")
+    subscribe("flaky")
+    await waitFor(() => statuses.includes("reconnecting"))
+    expect(mock.clientCount()).toBe(0)
+
+    rejectedTokens.delete("flaky")
+    await waitFor(isConnected)
+    expect(verifySession).toHaveBeenCalled()
+    rejectedTokens.clear()
+  })
+
+  it("stops retrying once the backend no longer accepts the token", async () => {
+    // verifySession ends the session itself when /auth/me is refused
+    verifySession.mockResolvedValue(false)
+    rejectedTokens.add("expired")
+    subscribe("expired")
+    await waitFor(() => verifySession.mock.calls.length > 0)
+
+    await new Promise((resolve) => setTimeout(resolve, 1500))
+    expect(refusedAttempts).toBe(1)
+    expect(mock.clientCount()).toBe(0)
+    rejectedTokens.clear()
+  })
+
+  it("lets errors thrown by the handler through instead of reporting a malformed event", () => {
+    const consoleError = jest.spyOn(console, "error").mockImplementation(() => {})
+    const listeners = {}
+    global.EventSource = class {
+      addEventListener(type, listener) {
+        listeners[type] = listener
+      }
+
+      close() {}
+    }
+
+    unsubscribe = subscribeToTaskEvents("token", {
+      onEvent: () => {
+        throw new Error("handler bug")
+      },
+    })
+    expect(() => listeners["task:updated"]({ data: "{}" })).toThrow("handler bug")
+    expect(consoleError).not.toHaveBeenCalled()
+
+    global.EventSource = EventSource
+    consoleError.mockRestore()
+  })
+
+  it("stops reconnecting once unsubscribed", async () => {
+    subscribe()
+    await waitFor(isConnected)
+    unsubscribe()
+    await new Promise((resolve) => setTimeout(resolve, 1200))
+    expect(mock.clientCount()).toBe(0)
+  })
+})
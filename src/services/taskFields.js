@@ -0,0 +1,48 @@
+// Task fields the client adds on top of the backend's original Task model (title, description,
+// status, priority, dueDate, employeeId). A backend whose schema lacks them drops them silently, so
+// saves are compared with what comes back and the forms stop offering fields that didn't survive.
+// README.md lists what the backend needs for each one.
+
+export const EXTENDED_TASK_FIELDS = ["subtasks", "autoReview", "recurrence", "estimatedHours", "blockedBy", "completedAt"]
+
+const STORAGE_KEY = "unsupportedTaskFields"
+
+export const getUnsupportedTaskFields = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || []
+  } catch (e) {
+    return []
+  }
+}
+
+const saveUnsupportedTaskFields = (fields) => {
+  if (fields.length > 0) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(fields))
+  } else {
+    localStorage.removeItem(STORAGE_KEY)
+  }
+}
+
+export const isTaskFieldSupported = (field) => !getUnsupportedTaskFields().includes(field)
+
+// After a create or update: fields that were sent but are missing from the saved task were dropped
+export const recordSavedTask = (payload, savedTask) => {
+  if (!savedTask || typeof savedTask !== "object") return
+
+  const dropped = EXTENDED_TASK_FIELDS.filter((field) => field in payload && !(field in savedTask))
+  const unsupported = getUnsupportedTaskFields()
+  const added = dropped.filter((field) => !unsupported.includes(field))
+  if (added.length === 0) return
+
+  console.warn(`The server didn't store these task fields, so they are hidden: ${added.join(", ")}. See README.md.`)
+  saveUnsupportedTaskFields([...unsupported, ...added])
+}
+
+// After a fetch: a field that shows up on any task is stored by the backend, e.g. once it is upgraded
+export const recordFetchedTasks = (tasks) => {
+  if (!Array.isArray(tasks)) return
+
+  const unsupported = getUnsupportedTaskFields()
+  const stillMissing = unsupported.filter((field) => !tasks.some((task) => task && field in task))
+  if (stillMissing.length !== unsupported.length) saveUnsupportedTaskFields(stillMissing)
+}
@@ -0,0 +1,35 @@
+import { getUnsupportedTaskFields, isTaskFieldSupported, recordSavedTask, recordFetchedTasks } from "./taskFields"
+
+beforeEach(() => {
+  localStorage.clear()
+  jest.spyOn(console, "warn").mockImplementation(() => {})
+})
+
+afterEach(() => console.warn.mockRestore())
+
+describe("recordSavedTask", () => {
+  it("remembers fields the server didn't send back", () => {
+    recordSavedTask(
+      { title: "Report", subtasks: [], recurrence: null, estimatedHours: 2 },
+      { _id: "t1", title: "Report", estimatedHours: 2 },
+    )
+    expect(getUnsupportedTaskFields()).toEqual(["subtasks", "recurrence"])
+    expect(isTaskFieldSupported("subtasks")).toBe(false)
+    expect(isTaskFieldSupported("estimatedHours")).toBe(true)
+    expect(console.warn).toHaveBeenCalledTimes(1)
+  })
+
+  it("ignores fields that weren't sent and the backend's own fields", () => {
+    recordSavedTask({ status: "Done", description: "" }, { _id: "t1", status: "Done" })
+    expect(getUnsupportedTaskFields()).toEqual([])
+    expect(console.warn).not.toHaveBeenCalled()
+  })
+})
+
+describe("recordFetchedTasks", () => {
+  it("offers a field again once a task carries it", () => {
+    recordSavedTask({ subtasks: [], blockedBy: [] }, { _id: "t1" })
+    recordFetchedTasks([{ _id: "t1" }, { _id: "t2", blockedBy: [] }])
+    expect(getUnsupportedTaskFields()).toEqual(["subtasks"])
+  })
+})
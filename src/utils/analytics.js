@@ -0,0 +1,157 @@
+import { TASK_STATUSES, TASK_PRIORITIES, isOverdue } from "./tasks"
+import { loggedMinutes, estimatedMinutes } from "./timeTracking"
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const WEEK_MS = 7 * DAY_MS
+
+// Weeks shown when no date range is selected
+export const DEFAULT_TREND_WEEKS = 8
+
+// Monday 00:00 of the week containing date
+export const startOfWeek = (date) => {
+  const d = new Date(date)
+  d.setHours(0, 0, 0, 0)
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7))
+  return d
+}
+
+// completedAt is recorded by the dashboards (see stampCompletion in utils/tasks.js); updatedAt covers
+// tasks finished before that, when the backend sends it
+export const getCompletedAt = (task) => {
+  if (task.status !== "Done") return null
+  const completed = task.completedAt || task.updatedAt
+  return completed ? new Date(completed) : null
+}
+
+export const completionRate = (tasks) => {
+  if (tasks.length === 0) return 0
+  const done = tasks.filter((task) => task.status === "Done").length
+  return Math.round((done / tasks.length) * 100)
+}
+
+export const countByStatus = (tasks) =>
+  TASK_STATUSES.reduce((counts, status) => {
+    counts[status] = tasks.filter((task) => task.status === status).length
+    return counts
+  }, {})
+
+export const countByPriority = (tasks) =>
+  TASK_PRIORITIES.reduce((counts, priority) => {
+    counts[priority] = tasks.filter((task) => task.priority === priority).length
+    return counts
+  }, {})
+
+// One row per department, including departments that only appear on tasks
+export const departmentBreakdown = (tasks, departments) => {
+  const names = departments.map((dept) => dept.name || dept)
+  tasks.forEach((task) => {
+    const name = task.employee?.department
+    if (name && !names.includes(name)) names.push(name)
+  })
+
+  return names.map((name) => {
+    const deptTasks = tasks.filter((task) => task.employee?.department === name)
+    return {
+      department: name,
+      total: deptTasks.length,
+      byStatus: countByStatus(deptTasks),
+      overdue: deptTasks.filter(isOverdue).length,
+      completionRate: completionRate(deptTasks),
+    }
+  })
+}
+
+// Logged and estimated minutes per department or per employee, busiest first
+export const timeBreakdown = (tasks, groupBy) => {
+  const groups = {}
+  tasks.forEach((task) => {
+    const key = groupBy === "department" ? task.employee?.department : task.employee?._id
+    if (!key) return
+    groups[key] = groups[key] || {
+      key,
+      label: groupBy === "department" ? key : task.employee.name,
+      logged: 0,
+      estimated: 0,
+    }
+    groups[key].logged += loggedMinutes(task)
+    groups[key].estimated += estimatedMinutes(task)
+  })
+  return Object.values(groups)
+    .filter((row) => row.logged > 0 || row.estimated > 0)
+    .sort((a, b) => b.logged - a.logged)
+}
+
+// Resolve a DateRangePicker value (either end may be missing) to concrete start and end dates
+export const resolveTrendRange = (dateRange, weeks = DEFAULT_TREND_WEEKS) => {
+  const end = dateRange?.endDate ? new Date(dateRange.endDate) : new Date()
+  const start = dateRange?.startDate ? new Date(dateRange.startDate) : new Date(end.getTime() - (weeks - 1) * WEEK_MS)
+  return { start, end }
+}
+
+// Count tasks created and completed in each Monday-based week from start to end
+export const weeklyActivity = (tasks, start, end) => {
+  const firstWeek = startOfWeek(start)
+  const lastWeek = startOfWeek(end)
+  const weeks = []
+
+  for (let week = new Date(firstWeek); week <= lastWeek; week.setDate(week.getDate() + 7)) {
+    weeks.push({ weekStart: new Date(week), created: 0, completed: 0 })
+  }
+
+  // Math.round absorbs the hour lost or gained at daylight saving changes
+  const weekIndex = (date) => Math.round((startOfWeek(date) - firstWeek) / WEEK_MS)
+
+  tasks.forEach((task) => {
+    if (task.createdAt) {
+      const index = weekIndex(task.createdAt)
+      if (index >= 0 && index < weeks.length) weeks[index].created++
+    }
+
+    const completedAt = getCompletedAt(task)
+    if (completedAt) {
+      const index = weekIndex(completedAt)
+      if (index >= 0 && index < weeks.length) weeks[index].completed++
+    }
+  })
+
+  return weeks
+}
+
+export const formatWeekLabel = (weekStart) =>
+  weekStart.toLocaleDateString("en-US", { month: "short", day: "numeric" })
+
+// Not done and due between today and the end of this week (Sunday)
+export const isDueThisWeek = (task) => {
+  if (!task.dueDate || task.status === "Done") return false
+
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+  const weekEnd = new Date(startOfWeek(today).getTime() + WEEK_MS)
+  const dueDate = new Date(task.dueDate)
+  dueDate.setHours(0, 0, 0, 0)
+
+  return dueDate >= today && dueDate < weekEnd
+}
+
+// Consecutive days, counting back from today, with at least one task completed.
+// A day without completions so far today doesn't break the streak until it is over.
+export const completionStreak = (tasks) => {
+  const completedDays = new Set(
+    tasks
+      .map(getCompletedAt)
+      .filter(Boolean)
+      .map((date) => date.toDateString()),
+  )
+
+  const day = new Date()
+  if (!completedDays.has(day.toDateString())) {
+    day.setDate(day.getDate() - 1)
+  }
+
+  let streak = 0
+  while (completedDays.has(day.toDateString())) {
+    streak++
+    day.setDate(day.getDate() - 1)
+  }
+  return streak
+}
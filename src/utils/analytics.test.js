@@ -0,0 +1,37 @@
+import { getCompletedAt, completionStreak } from "./analytics"
+
+const daysAgo = (days) => {
+  const date = new Date()
+  date.setHours(12, 0, 0, 0)
+  date.setDate(date.getDate() - days)
+  return date.toISOString()
+}
+
+const done = (days) => ({ status: "Done", completedAt: daysAgo(days) })
+
+describe("getCompletedAt", () => {
+  it("only reports a date for Done tasks", () => {
+    expect(getCompletedAt({ status: "Review", completedAt: daysAgo(1) })).toBeNull()
+    expect(getCompletedAt({ status: "Done" })).toBeNull()
+    expect(getCompletedAt(done(0))).toEqual(new Date(daysAgo(0)))
+  })
+
+  it("falls back to updatedAt for tasks finished before completedAt was recorded", () => {
+    expect(getCompletedAt({ status: "Done", updatedAt: daysAgo(3) })).toEqual(new Date(daysAgo(3)))
+  })
+})
+
+describe("completionStreak", () => {
+  it("is 0 without completion dates", () => {
+    expect(completionStreak([{ status: "Done" }, { status: "To Do" }])).toBe(0)
+  })
+
+  it("counts consecutive days back from today", () => {
+    expect(completionStreak([done(0), done(1), done(1), done(2), done(4)])).toBe(3)
+  })
+
+  it("doesn't break the streak before today is over", () => {
+    expect(completionStreak([done(1), done(2)])).toBe(2)
+    expect(completionStreak([done(2), done(3)])).toBe(0)
+  })
+})
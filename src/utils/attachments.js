@@ -0,0 +1,62 @@
+import { attachmentsApi } from "../services/api"
+
+// Upload limits; the backend enforces the same ones
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024
+export const MAX_ATTACHMENTS_PER_TASK = 20
+
+export const ALLOWED_ATTACHMENT_TYPES = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+  "text/plain": ".txt",
+  "text/csv": ".csv",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ".docx",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": ".xlsx",
+}
+
+// For the file input's accept attribute
+export const ATTACHMENT_ACCEPT = [
+  ...Object.keys(ALLOWED_ATTACHMENT_TYPES),
+  ...new Set(Object.values(ALLOWED_ATTACHMENT_TYPES)),
+  ".jpeg",
+].join(",")
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+// Returns an error message, or "" when the file can be uploaded
+export const validateAttachment = (file) => {
+  if (!ALLOWED_ATTACHMENT_TYPES[file.type]) {
+    return `${file.name}: only images, PDFs, Word, Excel, text and CSV files can be attached`
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return `${file.name} is ${formatFileSize(file.size)}; the limit is ${formatFileSize(MAX_ATTACHMENT_BYTES)}`
+  }
+  return ""
+}
+
+export const isImage = (mimeType) => mimeType?.startsWith("image/")
+
+// Images and PDFs open in the preview; everything else is downloaded
+export const isPreviewable = (mimeType) => isImage(mimeType) || mimeType === "application/pdf"
+
+// Uploads files picked before a task existed, one after another. onUploaded is called after each
+// file that succeeds, so the task can show its count growing.
+// Resolves with a description of each file that failed, so the caller can report them.
+export const uploadAttachments = async (taskId, files, onUploaded = () => {}) => {
+  const failed = []
+  for (const file of files) {
+    try {
+      await attachmentsApi.upload(taskId, file)
+      onUploaded(file)
+    } catch (err) {
+      failed.push(`${file.name} (${err.message})`)
+    }
+  }
+  return failed
+}
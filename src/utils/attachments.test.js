@@ -0,0 +1,67 @@
+import { attachmentsApi } from "../services/api"
+import {
+  validateAttachment,
+  formatFileSize,
+  uploadAttachments,
+  MAX_ATTACHMENT_BYTES,
+  ATTACHMENT_ACCEPT,
+} from "./attachments"
+
+jest.mock("../services/api", () => ({ attachmentsApi: { upload: jest.fn() } }))
+
+const file = (name, type, size = 1024) => ({ name, type, size })
+
+describe("validateAttachment", () => {
+  it("accepts allowed types up to the size limit", () => {
+    expect(validateAttachment(file("shot.png", "image/png"))).toBe("")
+    expect(validateAttachment(file("invoice.pdf", "application/pdf", MAX_ATTACHMENT_BYTES))).toBe("")
+  })
+
+  it("rejects other types", () => {
+    expect(validateAttachment(file("run.exe", "application/x-msdownload"))).toBe(
+      "run.exe: only images, PDFs, Word, Excel, text and CSV files can be attached",
+    )
+    expect(validateAttachment(file("notes", ""))).toMatch(/^notes: only images/)
+  })
+
+  it("rejects files over the limit", () => {
+    expect(validateAttachment(file("scan.pdf", "application/pdf", MAX_ATTACHMENT_BYTES + 1))).toBe(
+      "scan.pdf is 10.0 MB; the limit is 10.0 MB",
+    )
+  })
+})
+
+describe("formatFileSize", () => {
+  it("picks a readable unit", () => {
+    expect(formatFileSize(512)).toBe("512 B")
+    expect(formatFileSize(1536)).toBe("2 KB")
+    expect(formatFileSize(5 * 1024 * 1024)).toBe("5.0 MB")
+  })
+})
+
+describe("ATTACHMENT_ACCEPT", () => {
+  it("lists each type and extension once", () => {
+    const accepted = ATTACHMENT_ACCEPT.split(",")
+    expect(accepted).toEqual(expect.arrayContaining(["image/png", ".png", ".jpg", ".jpeg", ".docx"]))
+    expect(new Set(accepted).size).toBe(accepted.length)
+  })
+})
+
+describe("uploadAttachments", () => {
+  it("uploads every file, reports each success and collects the failures", async () => {
+    attachmentsApi.upload
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error("Too large"))
+      .mockResolvedValueOnce({})
+    const files = [file("a.png", "image/png"), file("b.pdf", "application/pdf"), file("c.txt", "text/plain")]
+    const onUploaded = jest.fn()
+
+    expect(await uploadAttachments("t1", files, onUploaded)).toEqual(["b.pdf (Too large)"])
+    expect(attachmentsApi.upload.mock.calls.map(([taskId, upload]) => [taskId, upload.name])).toEqual([
+      ["t1", "a.png"],
+      ["t1", "b.pdf"],
+      ["t1", "c.txt"],
+    ])
+    expect(onUploaded.mock.calls.map(([upload]) => upload.name)).toEqual(["a.png", "c.txt"])
+  })
+})
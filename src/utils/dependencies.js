@@ -0,0 +1,89 @@
+// Tasks list the tasks that must be Done before they can start in `blockedBy`. Requests send ids;
+// responses populate each entry as { _id, title, status, employee } so blockers owned by someone
+// else can still be shown. A task is blocked while any of its blockers isn't Done.
+
+const entryId = (entry) => (typeof entry === "object" && entry !== null ? entry._id : entry)
+
+export const getBlockerIds = (task) => (task.blockedBy || []).map(entryId)
+
+// The list copy is preferred since it is kept current; populated entries cover tasks outside the list.
+// Ids that resolve to neither (a deleted blocker) are left out.
+export const getBlockers = (task, tasks) =>
+  (task.blockedBy || [])
+    .map((entry) => tasks.find((t) => t._id === entryId(entry)) || (typeof entry === "object" ? entry : null))
+    .filter(Boolean)
+
+export const getOpenBlockers = (task, tasks) => getBlockers(task, tasks).filter((blocker) => blocker.status !== "Done")
+
+export const isBlocked = (task, tasks) => getOpenBlockers(task, tasks).length > 0
+
+// True when making blockerId block taskId would close a loop, i.e. taskId already blocks blockerId
+// directly or through other tasks. Blockers missing from the list can't be followed.
+export const createsCycle = (taskId, blockerId, tasks) => {
+  if (!taskId) return false
+
+  const seen = new Set()
+  const stack = [blockerId]
+  while (stack.length > 0) {
+    const id = stack.pop()
+    if (id === taskId) return true
+    if (seen.has(id)) continue
+    seen.add(id)
+
+    const task = tasks.find((t) => t._id === id)
+    if (task) stack.push(...getBlockerIds(task))
+  }
+  return false
+}
+
+// Checked again on submit, since live updates can change the graph while the form is open
+export const validateDependencies = (taskId, blockerIds, tasks) => {
+  const cyclic = blockerIds.find((blockerId) => createsCycle(taskId, blockerId, tasks))
+  if (!cyclic) return ""
+
+  const blocker = tasks.find((t) => t._id === cyclic)
+  return cyclic === taskId
+    ? "A task can't be blocked by itself"
+    : `"${blocker?.title || "That task"}" already depends on this task, so it can't block it`
+}
+
+const quoteTitles = (blockers) => blockers.map((blocker) => `"${blocker.title}"`).join(", ")
+
+// Error for an update that would move a blocked task on from To Do, to any other status, or "" when
+// it is allowed. A task being created counts as To Do.
+export const blockedTransitionError = (previousTask, changes, tasks) => {
+  if ((previousTask.status || "To Do") !== "To Do" || !changes.status || changes.status === "To Do") return ""
+
+  const openBlockers = getOpenBlockers({ ...previousTask, ...changes }, tasks)
+  if (openBlockers.length === 0) return ""
+  return `"${previousTask.title}" is blocked by ${quoteTitles(openBlockers)}. Finish ${
+    openBlockers.length === 1 ? "it" : "them"
+  } before moving this task to ${changes.status}.`
+}
+
+// Tasks that were waiting on completedTask and have no other open blockers. Pass the list from
+// before the update, while completedTask still counts as open.
+export const tasksUnblockedBy = (completedTask, tasks) => {
+  if (completedTask.status !== "Done") return []
+
+  return tasks.filter((task) => {
+    if (task.status === "Done") return false
+    const openBlockerIds = getOpenBlockers(task, tasks).map((blocker) => blocker._id)
+    return openBlockerIds.includes(completedTask._id) && openBlockerIds.every((id) => id === completedTask._id)
+  })
+}
+
+// Refresh the populated copies of a task held in other tasks' blockedBy
+export const syncBlockerEntries = (tasks, updatedTask) =>
+  tasks.map((task) =>
+    getBlockerIds(task).includes(updatedTask._id)
+      ? {
+          ...task,
+          blockedBy: task.blockedBy.map((entry) =>
+            typeof entry === "object" && entry?._id === updatedTask._id
+              ? { ...entry, title: updatedTask.title, status: updatedTask.status }
+              : entry,
+          ),
+        }
+      : task,
+  )
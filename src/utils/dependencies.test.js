@@ -0,0 +1,95 @@
+import {
+  createsCycle,
+  validateDependencies,
+  blockedTransitionError,
+  tasksUnblockedBy,
+  getBlockers,
+} from "./dependencies"
+
+// c waits for b, which waits for a
+const a = { _id: "a", title: "Design", status: "In Progress", blockedBy: [] }
+const b = { _id: "b", title: "Build", status: "To Do", blockedBy: ["a"] }
+const c = { _id: "c", title: "Ship", status: "To Do", blockedBy: [{ _id: "b", title: "Build", status: "To Do" }] }
+const tasks = [a, b, c]
+
+describe("getBlockers", () => {
+  it("prefers the list copy and falls back to populated entries", () => {
+    const outside = { _id: "x", title: "Elsewhere", status: "Review" }
+    expect(getBlockers({ blockedBy: ["a", outside, "gone"] }, tasks)).toEqual([a, outside])
+  })
+})
+
+describe("createsCycle", () => {
+  it("detects direct and indirect loops", () => {
+    expect(createsCycle("a", "b", tasks)).toBe(true)
+    expect(createsCycle("a", "c", tasks)).toBe(true)
+    expect(createsCycle("b", "c", tasks)).toBe(true)
+    expect(createsCycle("a", "a", tasks)).toBe(true)
+  })
+
+  it("allows blockers that don't lead back", () => {
+    expect(createsCycle("c", "a", tasks)).toBe(false)
+    expect(createsCycle("b", "missing", tasks)).toBe(false)
+    // A task that doesn't exist yet can't be part of a loop
+    expect(createsCycle(undefined, "a", tasks)).toBe(false)
+  })
+
+  it("stops on loops already in the data", () => {
+    const looped = [
+      { _id: "p", blockedBy: ["q"] },
+      { _id: "q", blockedBy: ["p"] },
+    ]
+    expect(createsCycle("r", "p", looped)).toBe(false)
+  })
+})
+
+describe("validateDependencies", () => {
+  it("names the task that would close the loop", () => {
+    expect(validateDependencies("a", ["c"], tasks)).toBe('"Ship" already depends on this task, so it can\'t block it')
+    expect(validateDependencies("a", ["a"], tasks)).toBe("A task can't be blocked by itself")
+    expect(validateDependencies("c", ["a", "b"], tasks)).toBe("")
+  })
+})
+
+describe("blockedTransitionError", () => {
+  it("keeps a blocked task in To Do", () => {
+    ;["In Progress", "Review", "Done"].forEach((status) => {
+      expect(blockedTransitionError(b, { status }, tasks)).toBe(
+        `"Build" is blocked by "Design". Finish it before moving this task to ${status}.`,
+      )
+    })
+  })
+
+  it("allows other changes to a blocked task", () => {
+    expect(blockedTransitionError(b, { status: "To Do", title: "Build it" }, tasks)).toBe("")
+    expect(blockedTransitionError(b, { title: "Build it" }, tasks)).toBe("")
+  })
+
+  it("allows the move once the blockers are Done or removed", () => {
+    const done = [{ ...a, status: "Done" }, b, c]
+    expect(blockedTransitionError(b, { status: "In Progress" }, done)).toBe("")
+    expect(blockedTransitionError(b, { status: "In Progress", blockedBy: [] }, tasks)).toBe("")
+  })
+
+  it("leaves tasks that have already started alone", () => {
+    expect(blockedTransitionError(a, { status: "Review", blockedBy: ["b"] }, tasks)).toBe("")
+  })
+
+  it("treats a new task as To Do and checks the blockers it is created with", () => {
+    expect(blockedTransitionError({ title: "New" }, { status: "Done", blockedBy: ["a", "b"] }, tasks)).toBe(
+      '"New" is blocked by "Design", "Build". Finish them before moving this task to Done.',
+    )
+  })
+})
+
+describe("tasksUnblockedBy", () => {
+  it("lists tasks whose last open blocker was just completed", () => {
+    expect(tasksUnblockedBy({ ...a, status: "Done" }, tasks)).toEqual([b])
+  })
+
+  it("skips tasks that still wait on something else, and updates that aren't a completion", () => {
+    const d = { _id: "d", title: "Launch", status: "To Do", blockedBy: ["a", "b"] }
+    expect(tasksUnblockedBy({ ...a, status: "Done" }, [...tasks, d])).toEqual([b])
+    expect(tasksUnblockedBy({ ...a, status: "Review" }, tasks)).toEqual([])
+  })
+})
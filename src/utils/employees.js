@@ -0,0 +1,39 @@
+import { usersApi } from "../services/api"
+
+// Employees that appear on at least one task, used when the users endpoint is unavailable
+export const employeesFromTasks = (taskList) => {
+  const byId = new Map()
+  taskList.forEach((task) => {
+    if (task.employee && !byId.has(task.employee._id)) {
+      byId.set(task.employee._id, task.employee)
+    }
+  })
+  return [...byId.values()].sort((a, b) => a.name.localeCompare(b.name))
+}
+
+// Active employees, for the assignment pickers and filters. Deactivated users and admins are left out,
+// so anything that must not orphan a user counts them with countDepartmentMembers instead.
+export const fetchEmployees = async (taskList) => {
+  try {
+    const users = await usersApi.getAll()
+    return users.filter((u) => u.role !== "admin" && u.active !== false)
+  } catch (err) {
+    return employeesFromTasks(taskList)
+  }
+}
+
+// Users of any role, active or not, whose department is the given name
+export const countDepartmentMembers = (users, department) => users.filter((u) => u.department === department).length
+
+const toEmployeeInfo = ({ _id, name, department }) => ({ _id, name, department })
+
+// Assignee details for a task: its populated employee, else the employee list, else a populated
+// employeeId (GET /tasks/:id populates that field). null when none of them has the details.
+export const findTaskEmployee = (task, employees) => {
+  if (task.employee?._id) return toEmployeeInfo(task.employee)
+
+  const populated = task.employeeId && typeof task.employeeId === "object" ? task.employeeId : null
+  const ownerId = populated ? populated._id : task.employeeId
+  const employee = employees.find((emp) => emp._id === ownerId) || populated
+  return employee ? toEmployeeInfo(employee) : null
+}
@@ -0,0 +1,58 @@
+import { usersApi } from "../services/api"
+import { employeesFromTasks, fetchEmployees, countDepartmentMembers, findTaskEmployee } from "./employees"
+
+jest.mock("../services/api", () => ({ usersApi: { getAll: jest.fn() } }))
+
+const alice = { _id: "u1", name: "Alice", department: "Sales", email: "alice@example.com" }
+
+const users = [
+  { _id: "u1", name: "Alice", role: "employee", department: "Sales", active: true },
+  { _id: "u2", name: "Bob", role: "employee", department: "Sales", active: false },
+  { _id: "u3", name: "Cara", role: "admin", department: "Sales" },
+  { _id: "u4", name: "Dan", role: "employee", department: "IT" },
+]
+
+describe("fetchEmployees", () => {
+  it("lists only active employees for the pickers", async () => {
+    usersApi.getAll.mockResolvedValue(users)
+    expect((await fetchEmployees([])).map((u) => u._id)).toEqual(["u1", "u4"])
+  })
+
+  it("falls back to the employees found on tasks", async () => {
+    usersApi.getAll.mockRejectedValue(new Error("Not found"))
+    const tasks = [
+      { employee: { _id: "u4", name: "Dan" } },
+      { employee: { _id: "u1", name: "Alice" } },
+      { employee: { _id: "u4", name: "Dan" } },
+    ]
+    expect(await fetchEmployees(tasks)).toEqual(employeesFromTasks(tasks))
+    expect(employeesFromTasks(tasks).map((u) => u.name)).toEqual(["Alice", "Dan"])
+  })
+})
+
+describe("countDepartmentMembers", () => {
+  it("counts deactivated users and admins too", () => {
+    expect(countDepartmentMembers(users, "Sales")).toBe(3)
+    expect(countDepartmentMembers(users, "HR")).toBe(0)
+  })
+})
+
+describe("findTaskEmployee", () => {
+  it("keeps an employee that is already populated", () => {
+    const task = { employee: { _id: "u2", name: "Bob", department: "IT" }, employeeId: "u2" }
+    expect(findTaskEmployee(task, [alice])).toEqual({ _id: "u2", name: "Bob", department: "IT" })
+  })
+
+  it("looks a raw employeeId up in the employee list", () => {
+    expect(findTaskEmployee({ employeeId: "u1" }, [alice])).toEqual({ _id: "u1", name: "Alice", department: "Sales" })
+  })
+
+  it("falls back to a populated employeeId from the server", () => {
+    const task = { employeeId: { _id: "u3", name: "Cara", department: "HR" } }
+    expect(findTaskEmployee(task, [alice])).toEqual({ _id: "u3", name: "Cara", department: "HR" })
+  })
+
+  it("returns null when nobody has the details", () => {
+    expect(findTaskEmployee({ employeeId: "u9" }, [alice])).toBeNull()
+  })
+})
@@ -0,0 +1,83 @@
+import { checklistProgress } from "./tasks"
+import { describeRecurrence } from "./recurrence"
+import { formatDuration } from "./timeTracking"
+
+const FIELD_LABELS = {
+  title: "Title",
+  description: "Description",
+  status: "Status",
+  priority: "Priority",
+  dueDate: "Due date",
+  employee: "Assignee",
+  subtasks: "Checklist",
+  autoReview: "Auto review",
+  recurrence: "Recurrence",
+  estimatedHours: "Estimate",
+  blockedBy: "Blocked by",
+  completedAt: "Completed",
+}
+
+// Long values such as descriptions are cut down so a timeline row stays on one or two lines
+const MAX_VALUE_LENGTH = 80
+
+// Blockers are stored as ids, or as { _id, title } when populated; ids are named from `tasks`
+const formatBlockers = (blockers, tasks) => {
+  const titles = []
+  let unknown = 0
+  blockers.forEach((blocker) => {
+    const id = typeof blocker === "object" && blocker !== null ? blocker._id : blocker
+    const title = blocker?.title || tasks.find((task) => task._id === id)?.title
+    if (title) titles.push(`"${title}"`)
+    else unknown += 1
+  })
+  if (unknown > 0) titles.push(`${unknown} other task${unknown === 1 ? "" : "s"}`)
+  return titles.join(", ")
+}
+
+// tasks is only used to name blockers
+export const formatHistoryValue = (field, value, tasks = []) => {
+  if (value === null || value === undefined || value === "") return "none"
+
+  let text
+  switch (field) {
+    case "dueDate":
+    case "completedAt":
+      text = new Date(value).toLocaleDateString()
+      break
+    case "estimatedHours":
+      text = formatDuration(Number(value) * 60)
+      break
+    case "blockedBy":
+      text = formatBlockers([].concat(value), tasks) || "none"
+      break
+    case "employee":
+      text = value.name || String(value)
+      break
+    case "subtasks": {
+      const { done, total } = checklistProgress(value)
+      text = `${done}/${total} done`
+      break
+    }
+    case "autoReview":
+      text = value ? "on" : "off"
+      break
+    case "recurrence":
+      text = describeRecurrence(value) || "none"
+      break
+    default:
+      text = String(value)
+  }
+
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text
+}
+
+// e.g. "Status: In Progress → Done", or "Created the task"
+export const describeHistoryEntry = (entry, tasks = []) => {
+  if (entry.action === "created") return "Created the task"
+  if (entry.action === "deleted") return "Deleted the task"
+
+  const label = FIELD_LABELS[entry.field] || entry.field
+  const oldValue = formatHistoryValue(entry.field, entry.oldValue, tasks)
+  const newValue = formatHistoryValue(entry.field, entry.newValue, tasks)
+  return `${label}: ${oldValue} → ${newValue}`
+}
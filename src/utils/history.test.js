@@ -0,0 +1,45 @@
+import { formatHistoryValue, describeHistoryEntry } from "./history"
+
+const tasks = [
+  { _id: "t1", title: "Write the spec" },
+  { _id: "t2", title: "Review the spec" },
+]
+
+describe("formatHistoryValue", () => {
+  it("names blockers from the loaded tasks, or from populated entries", () => {
+    expect(formatHistoryValue("blockedBy", ["t1", "t2"], tasks)).toBe('"Write the spec", "Review the spec"')
+    expect(formatHistoryValue("blockedBy", [{ _id: "t9", title: "Order laptops" }])).toBe('"Order laptops"')
+  })
+
+  it("counts blockers it can't name instead of printing ids", () => {
+    expect(formatHistoryValue("blockedBy", ["t1", "gone"], tasks)).toBe('"Write the spec", 1 other task')
+    expect(formatHistoryValue("blockedBy", ["a", "b"])).toBe("2 other tasks")
+    expect(formatHistoryValue("blockedBy", [])).toBe("none")
+  })
+
+  it("shows estimates as a duration and completion as a date", () => {
+    expect(formatHistoryValue("estimatedHours", 2.5)).toBe("2h 30m")
+    expect(formatHistoryValue("estimatedHours", null)).toBe("none")
+    const completedAt = "2026-10-19T12:00:00.000Z"
+    expect(formatHistoryValue("completedAt", completedAt)).toBe(new Date(completedAt).toLocaleDateString())
+  })
+})
+
+describe("describeHistoryEntry", () => {
+  it("labels the newer task fields", () => {
+    expect(describeHistoryEntry({ action: "updated", field: "estimatedHours", oldValue: 1, newValue: 3 })).toBe(
+      "Estimate: 1h → 3h",
+    )
+    expect(
+      describeHistoryEntry({ action: "updated", field: "blockedBy", oldValue: [], newValue: ["t2"] }, tasks),
+    ).toBe('Blocked by: none → "Review the spec"')
+    expect(describeHistoryEntry({ action: "updated", field: "completedAt", oldValue: null, newValue: null })).toBe(
+      "Completed: none → none",
+    )
+  })
+
+  it("describes created and deleted entries without a field", () => {
+    expect(describeHistoryEntry({ action: "created" })).toBe("Created the task")
+    expect(describeHistoryEntry({ action: "deleted" })).toBe("Deleted the task")
+  })
+})
@@ -0,0 +1,130 @@
+// Recurrence rules stored on a task as `recurrence`:
+//   { frequency: "daily" | "weekly" | "monthly", weekdays: [0-6], monthDay: 1-31,
+//     end: "never" | "date" | "count", until: "YYYY-MM-DD", count, seriesId, occurrence }
+// seriesId links every instance of the same series; occurrence counts them from 1.
+
+export const FREQUENCIES = [
+  { value: "daily", label: "Daily" },
+  { value: "weekly", label: "Weekly" },
+  { value: "monthly", label: "Monthly" },
+]
+
+export const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]
+
+export const newSeriesId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+
+// Due dates are calendar days, so all arithmetic is done in UTC to stay clear of time zone shifts
+const parseDay = (value) => {
+  const [year, month, day] = String(value).slice(0, 10).split("-").map(Number)
+  return new Date(Date.UTC(year, month - 1, day))
+}
+
+const formatDay = (date) => date.toISOString().slice(0, 10)
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+
+const todayString = () => {
+  const today = new Date()
+  return formatDay(new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate())))
+}
+
+// The first due date after `from` (YYYY-MM-DD or ISO string) that matches the rule
+export const nextDueDate = (rule, from) => {
+  const date = parseDay(from)
+
+  switch (rule.frequency) {
+    case "daily":
+      date.setUTCDate(date.getUTCDate() + 1)
+      return formatDay(date)
+    case "weekly": {
+      const weekdays = rule.weekdays?.length ? rule.weekdays : [date.getUTCDay()]
+      do {
+        date.setUTCDate(date.getUTCDate() + 1)
+      } while (!weekdays.includes(date.getUTCDay()))
+      return formatDay(date)
+    }
+    case "monthly": {
+      const monthDay = rule.monthDay || date.getUTCDate()
+      const year = date.getUTCFullYear()
+      const month = date.getUTCMonth()
+      // Days past the end of a short month fall on its last day, e.g. the 31st becomes Feb 28
+      const dayThisMonth = Math.min(monthDay, daysInMonth(year, month))
+      const next = new Date(Date.UTC(year, date.getUTCDate() < dayThisMonth ? month : month + 1, 1))
+      next.setUTCDate(Math.min(monthDay, daysInMonth(next.getUTCFullYear(), next.getUTCMonth())))
+      return formatDay(next)
+    }
+    default:
+      return null
+  }
+}
+
+export const validateRecurrence = (rule) => {
+  if (rule.frequency === "weekly" && rule.weekdays.length === 0) return "Choose at least one day of the week"
+  if (rule.frequency === "monthly" && !(rule.monthDay >= 1 && rule.monthDay <= 31)) {
+    return "Day of the month must be between 1 and 31"
+  }
+  if (rule.end === "date" && !rule.until) return "Choose the date the task stops repeating"
+  if (rule.end === "count" && !(rule.count >= 1)) return "Number of occurrences must be at least 1"
+  return ""
+}
+
+// Task data for the instance that follows `task` once it is Done, or null if the series has ended
+// or the next instance already exists in `tasks`
+export const buildNextOccurrence = (task, tasks = []) => {
+  const rule = task.recurrence
+  if (!rule?.frequency) return null
+
+  const occurrence = rule.occurrence || 1
+  if (rule.end === "count" && occurrence >= rule.count) return null
+
+  const dueDate = nextDueDate(rule, task.dueDate || todayString())
+  if (rule.end === "date" && rule.until && dueDate > String(rule.until).slice(0, 10)) return null
+
+  const alreadyCreated = tasks.some(
+    (other) => other.recurrence?.seriesId === rule.seriesId && (other.recurrence.occurrence || 1) > occurrence,
+  )
+  if (alreadyCreated) return null
+
+  return {
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    status: "To Do",
+    dueDate,
+    subtasks: (task.subtasks || []).map((subtask) => ({ title: subtask.title, done: false })),
+    autoReview: task.autoReview,
+    estimatedHours: task.estimatedHours,
+    recurrence: { ...rule, occurrence: occurrence + 1 },
+  }
+}
+
+// Next instance to create when an update marks a recurring task Done, or null
+export const nextOccurrenceAfterUpdate = (previousTask, changes, tasks) => {
+  if (changes.status !== "Done" || previousTask.status === "Done") return null
+  return buildNextOccurrence({ ...previousTask, ...changes }, tasks)
+}
+
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : ["th", "st", "nd", "rd"][n % 10] || "th"
+  return `${n}${suffix}`
+}
+
+// Human-readable summary for TaskItem, e.g. "Repeats weekly on Mon, Fri until 12/31/2026"
+export const describeRecurrence = (rule) => {
+  if (!rule?.frequency) return ""
+
+  let text = "Repeats daily"
+  if (rule.frequency === "weekly") {
+    const days = [...rule.weekdays].sort().map((day) => WEEKDAY_LABELS[day])
+    text = `Repeats weekly on ${days.join(", ")}`
+  } else if (rule.frequency === "monthly") {
+    text = `Repeats monthly on the ${ordinal(rule.monthDay)}`
+  }
+
+  if (rule.end === "date" && rule.until) {
+    text += ` until ${parseDay(rule.until).toLocaleDateString(undefined, { timeZone: "UTC" })}`
+  } else if (rule.end === "count") {
+    text += ` (${rule.occurrence || 1} of ${rule.count})`
+  }
+  return text
+}
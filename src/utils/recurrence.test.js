@@ -0,0 +1,93 @@
+import { nextDueDate, validateRecurrence, buildNextOccurrence, nextOccurrenceAfterUpdate, describeRecurrence } from "./recurrence"
+
+describe("nextDueDate", () => {
+  it("moves daily rules on by one day, across month and year ends", () => {
+    expect(nextDueDate({ frequency: "daily" }, "2026-10-19")).toBe("2026-10-20")
+    expect(nextDueDate({ frequency: "daily" }, "2026-12-31T00:00:00.000Z")).toBe("2027-01-01")
+  })
+
+  it("picks the next chosen weekday, falling back to the due date's weekday", () => {
+    // 2026-10-19 is a Monday
+    expect(nextDueDate({ frequency: "weekly", weekdays: [1, 5] }, "2026-10-19")).toBe("2026-10-23")
+    expect(nextDueDate({ frequency: "weekly", weekdays: [1, 5] }, "2026-10-23")).toBe("2026-10-26")
+    expect(nextDueDate({ frequency: "weekly", weekdays: [] }, "2026-10-19")).toBe("2026-10-26")
+  })
+
+  it("keeps the day of the month and clamps it to short months", () => {
+    expect(nextDueDate({ frequency: "monthly", monthDay: 31 }, "2026-01-15")).toBe("2026-01-31")
+    expect(nextDueDate({ frequency: "monthly", monthDay: 31 }, "2026-01-31")).toBe("2026-02-28")
+    expect(nextDueDate({ frequency: "monthly", monthDay: 31 }, "2026-02-28")).toBe("2026-03-31")
+    expect(nextDueDate({ frequency: "monthly", monthDay: 29 }, "2028-01-29")).toBe("2028-02-29")
+    expect(nextDueDate({ frequency: "monthly" }, "2026-10-10")).toBe("2026-11-10")
+  })
+
+  it("returns null for an unknown frequency", () => {
+    expect(nextDueDate({ frequency: "yearly" }, "2026-10-19")).toBeNull()
+  })
+})
+
+describe("validateRecurrence", () => {
+  it("rejects incomplete rules", () => {
+    expect(validateRecurrence({ frequency: "weekly", weekdays: [] })).toMatch(/day of the week/)
+    expect(validateRecurrence({ frequency: "monthly", monthDay: 32 })).toMatch(/between 1 and 31/)
+    expect(validateRecurrence({ frequency: "daily", end: "date" })).toMatch(/stops repeating/)
+    expect(validateRecurrence({ frequency: "daily", end: "count", count: 0 })).toMatch(/at least 1/)
+    expect(validateRecurrence({ frequency: "daily", end: "never" })).toBe("")
+  })
+})
+
+describe("buildNextOccurrence", () => {
+  const task = {
+    _id: "t1",
+    title: "Standup notes",
+    priority: "Low",
+    status: "Done",
+    dueDate: "2026-10-19",
+    subtasks: [{ _id: "s1", title: "Send", done: true }],
+    recurrence: { frequency: "daily", end: "never", seriesId: "series-1", occurrence: 2 },
+  }
+
+  it("builds the next instance with fresh subtasks", () => {
+    expect(buildNextOccurrence(task)).toMatchObject({
+      title: "Standup notes",
+      status: "To Do",
+      dueDate: "2026-10-20",
+      subtasks: [{ title: "Send", done: false }],
+      recurrence: { seriesId: "series-1", occurrence: 3 },
+    })
+  })
+
+  it("stops once the series has ended", () => {
+    expect(buildNextOccurrence({ ...task, recurrence: { ...task.recurrence, end: "count", count: 2 } })).toBeNull()
+    expect(
+      buildNextOccurrence({ ...task, recurrence: { ...task.recurrence, end: "date", until: "2026-10-19" } }),
+    ).toBeNull()
+    expect(buildNextOccurrence({ ...task, recurrence: null })).toBeNull()
+  })
+
+  it("doesn't create an instance that already exists", () => {
+    const next = { _id: "t2", recurrence: { seriesId: "series-1", occurrence: 3 } }
+    expect(buildNextOccurrence(task, [task, next])).toBeNull()
+  })
+})
+
+describe("nextOccurrenceAfterUpdate", () => {
+  const task = { title: "Backup", status: "In Progress", dueDate: "2026-10-19", recurrence: { frequency: "daily" } }
+
+  it("only builds the next instance when the task moves into Done", () => {
+    expect(nextOccurrenceAfterUpdate(task, { status: "Done" }, [])).toMatchObject({ dueDate: "2026-10-20" })
+    expect(nextOccurrenceAfterUpdate(task, { title: "Backups" }, [])).toBeNull()
+    expect(nextOccurrenceAfterUpdate({ ...task, status: "Done" }, { status: "Done" }, [])).toBeNull()
+  })
+})
+
+describe("describeRecurrence", () => {
+  it("summarises the rule", () => {
+    expect(describeRecurrence({ frequency: "weekly", weekdays: [5, 1] })).toBe("Repeats weekly on Mon, Fri")
+    expect(describeRecurrence({ frequency: "monthly", monthDay: 22, end: "count", count: 5, occurrence: 2 })).toBe(
+      "Repeats monthly on the 22nd (2 of 5)",
+    )
+    expect(describeRecurrence({ frequency: "monthly", monthDay: 11 })).toBe("Repeats monthly on the 11th")
+    expect(describeRecurrence(null)).toBe("")
+  })
+})
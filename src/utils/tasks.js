@@ -0,0 +1,219 @@
+// Mirrors the enums on the backend Task model
+export const TASK_STATUSES = ["To Do", "In Progress", "Review", "Done"]
+export const TASK_PRIORITIES = ["Low", "Medium", "High", "Urgent"]
+
+// Same colours as the status badges and priority borders in App.css, for SVG charts
+export const STATUS_COLORS = {
+  "To Do": "#1976d2",
+  "In Progress": "#ff8f00",
+  Review: "#388e3c",
+  Done: "#00796b",
+}
+
+export const PRIORITY_COLORS = {
+  Low: "#8bc34a",
+  Medium: "#ffa726",
+  High: "#f44336",
+  Urgent: "#9c27b0",
+}
+
+export const getStatusClass = (status) => {
+  switch (status) {
+    case "To Do":
+      return "status-todo"
+    case "In Progress":
+      return "status-progress"
+    case "Review":
+      return "status-review"
+    case "Done":
+      return "status-done"
+    default:
+      return ""
+  }
+}
+
+export const getPriorityClass = (priority) => {
+  switch (priority) {
+    case "Low":
+      return "priority-low"
+    case "Medium":
+      return "priority-medium"
+    case "High":
+      return "priority-high"
+    case "Urgent":
+      return "priority-urgent"
+    default:
+      return ""
+  }
+}
+
+// Midnight today, so due dates compare by calendar day
+export const startOfToday = () => {
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+  return today
+}
+
+export const isOverdue = (task) => {
+  if (!task.dueDate || task.status === "Done") return false
+  const dueDate = new Date(task.dueDate)
+  dueDate.setHours(0, 0, 0, 0)
+  return dueDate < startOfToday()
+}
+
+export const EMPTY_FILTERS = { statuses: [], priorities: [], overdue: false }
+
+export const hasActiveFilters = (filters) =>
+  filters.statuses.length > 0 || filters.priorities.length > 0 || filters.overdue
+
+// Statuses and priorities combine with OR inside a group and AND across groups
+export const applyTaskFilters = (tasks, filters) => {
+  if (!hasActiveFilters(filters)) return tasks
+
+  return tasks.filter(
+    (task) =>
+      (filters.statuses.length === 0 || filters.statuses.includes(task.status)) &&
+      (filters.priorities.length === 0 || filters.priorities.includes(task.priority)) &&
+      (!filters.overdue || isOverdue(task)),
+  )
+}
+
+// Filters live in the query string (?status=To+Do&status=Review&priority=Urgent&overdue=true) so views can be bookmarked
+export const filtersFromSearchParams = (searchParams) => ({
+  statuses: searchParams.getAll("status").filter((status) => TASK_STATUSES.includes(status)),
+  priorities: searchParams.getAll("priority").filter((priority) => TASK_PRIORITIES.includes(priority)),
+  overdue: searchParams.get("overdue") === "true",
+})
+
+// Other query params are kept as they are
+export const filtersToSearchParams = (filters, searchParams) => {
+  const params = new URLSearchParams(searchParams)
+  params.delete("status")
+  params.delete("priority")
+  params.delete("overdue")
+
+  filters.statuses.forEach((status) => params.append("status", status))
+  filters.priorities.forEach((priority) => params.append("priority", priority))
+  if (filters.overdue) params.set("overdue", "true")
+
+  return params
+}
+
+export const SORT_FIELDS = [
+  { value: "createdAt", label: "Created date" },
+  { value: "dueDate", label: "Due date" },
+  { value: "priority", label: "Priority" },
+  { value: "status", label: "Status" },
+  { value: "title", label: "Title" },
+  { value: "employee", label: "Employee name" },
+]
+
+export const DEFAULT_SORT = { field: "createdAt", direction: "desc" }
+
+// Higher rank sorts later when ascending, so descending puts Urgent first
+const PRIORITY_RANK = { Low: 1, Medium: 2, High: 3, Urgent: 4 }
+
+const getSortValue = (task, field) => {
+  switch (field) {
+    case "dueDate":
+    case "createdAt":
+      return task[field] ? new Date(task[field]).getTime() : null
+    case "priority":
+      return PRIORITY_RANK[task.priority] ?? null
+    case "status":
+      return TASK_STATUSES.includes(task.status) ? TASK_STATUSES.indexOf(task.status) : null
+    case "title":
+      return task.title || null
+    case "employee":
+      return task.employee?.name || null
+    default:
+      return null
+  }
+}
+
+const compareValues = (a, b) => {
+  if (typeof a === "string" && typeof b === "string") {
+    return a.localeCompare(b, undefined, { sensitivity: "base" })
+  }
+  return a === b ? 0 : a < b ? -1 : 1
+}
+
+// Tasks missing the sort value always go last; ties fall back to newest first, then id
+export const sortTasks = (tasks, { field, direction }) => {
+  const factor = direction === "asc" ? 1 : -1
+
+  return [...tasks].sort((a, b) => {
+    const aValue = getSortValue(a, field)
+    const bValue = getSortValue(b, field)
+
+    if (aValue === null || bValue === null) {
+      if (aValue !== bValue) return aValue === null ? 1 : -1
+    } else {
+      const primary = compareValues(aValue, bValue) * factor
+      if (primary !== 0) return primary
+    }
+
+    return (
+      compareValues(getSortValue(b, "createdAt") ?? 0, getSortValue(a, "createdAt") ?? 0) ||
+      compareValues(String(a._id), String(b._id))
+    )
+  })
+}
+
+export const checklistProgress = (subtasks = []) => ({
+  done: subtasks.filter((subtask) => subtask.done).length,
+  total: subtasks.length,
+})
+
+// With autoReview set, finishing the last checklist item moves a task that is still being worked on to Review
+export const statusAfterChecklistChange = (task, subtasks) => {
+  const { done, total } = checklistProgress(subtasks)
+  if (task.autoReview && total > 0 && done === total && ["To Do", "In Progress"].includes(task.status)) {
+    return "Review"
+  }
+  return task.status
+}
+
+// The Task model has no completion timestamp of its own, so the client records completedAt in the update
+// that moves a task to Done and clears it when the task leaves Done. previousTask is {} for a new task.
+export const stampCompletion = (previousTask, changes) => {
+  if (!changes.status || changes.status === previousTask.status) return changes
+  if (changes.status === "Done") return { ...changes, completedAt: new Date().toISOString() }
+  if (previousTask.status === "Done") return { ...changes, completedAt: null }
+  return changes
+}
+
+// Client-side stand-in for a task the server hasn't stored yet, with the model's defaults filled in
+export const buildLocalTask = (data, tempId) => ({
+  status: "To Do",
+  priority: "Medium",
+  ...data,
+  _id: tempId,
+  createdAt: new Date().toISOString(),
+})
+
+// Backend tasks carry employeeId; tasks from GET /api/tasks carry a populated employee instead
+export const getTaskOwnerId = (task) => task.employee?._id || task.employeeId
+
+// Merge a live task event into a list. Changed tasks get liveUpdatedAt so TaskItem can flag them.
+export const applyTaskEvent = (tasks, event) => {
+  switch (event.type) {
+    case "task:created":
+      if (tasks.some((task) => task._id === event.task._id)) return tasks
+      return [{ ...event.task, liveUpdatedAt: Date.now() }, ...tasks]
+    case "task:updated":
+      // A task the list hasn't seen, e.g. one just reassigned to the viewer, is added like a new one
+      if (!tasks.some((task) => task._id === event.task._id)) {
+        return [{ ...event.task, liveUpdatedAt: Date.now() }, ...tasks]
+      }
+      return tasks.map((task) =>
+        task._id === event.task._id
+          ? { ...task, ...event.task, employee: event.task.employee || task.employee, liveUpdatedAt: Date.now() }
+          : task,
+      )
+    case "task:deleted":
+      return tasks.filter((task) => task._id !== event.taskId)
+    default:
+      return tasks
+  }
+}
@@ -0,0 +1,140 @@
+import {
+  EMPTY_FILTERS,
+  applyTaskFilters,
+  filtersFromSearchParams,
+  filtersToSearchParams,
+  hasActiveFilters,
+  sortTasks,
+  stampCompletion,
+  applyTaskEvent,
+} from "./tasks"
+
+const daysFromToday = (days) => {
+  const date = new Date()
+  date.setDate(date.getDate() + days)
+  return date.toISOString()
+}
+
+describe("applyTaskFilters", () => {
+  const tasks = [
+    { _id: "1", status: "To Do", priority: "High", dueDate: daysFromToday(-2) },
+    { _id: "2", status: "Review", priority: "Low", dueDate: daysFromToday(3) },
+    { _id: "3", status: "Done", priority: "High", dueDate: daysFromToday(-5) },
+    { _id: "4", status: "In Progress", priority: "Urgent" },
+  ]
+  const ids = (list) => list.map((task) => task._id)
+
+  it("returns the list untouched when no filter is set", () => {
+    expect(hasActiveFilters(EMPTY_FILTERS)).toBe(false)
+    expect(applyTaskFilters(tasks, EMPTY_FILTERS)).toBe(tasks)
+  })
+
+  it("ORs values inside a group and ANDs the groups", () => {
+    const filters = { statuses: ["To Do", "Done"], priorities: ["High"], overdue: false }
+    expect(ids(applyTaskFilters(tasks, filters))).toEqual(["1", "3"])
+    expect(ids(applyTaskFilters(tasks, { ...filters, priorities: ["Low"] }))).toEqual([])
+  })
+
+  it("treats Done and undated tasks as never overdue", () => {
+    expect(ids(applyTaskFilters(tasks, { ...EMPTY_FILTERS, overdue: true }))).toEqual(["1"])
+  })
+})
+
+describe("filters in the query string", () => {
+  it("round-trips through URLSearchParams", () => {
+    const filters = { statuses: ["To Do", "Review"], priorities: ["Urgent"], overdue: true }
+    const params = filtersToSearchParams(filters, new URLSearchParams())
+    expect(params.toString()).toBe("status=To+Do&status=Review&priority=Urgent&overdue=true")
+    expect(filtersFromSearchParams(params)).toEqual(filters)
+  })
+
+  it("keeps unrelated params and drops the old filter values", () => {
+    const params = filtersToSearchParams(
+      { statuses: ["Done"], priorities: [], overdue: false },
+      new URLSearchParams("view=board&status=To+Do&overdue=true"),
+    )
+    expect(params.toString()).toBe("view=board&status=Done")
+  })
+
+  it("ignores values that aren't real statuses or priorities", () => {
+    expect(filtersFromSearchParams(new URLSearchParams("status=Blocked&priority=Low&overdue=yes"))).toEqual({
+      statuses: [],
+      priorities: ["Low"],
+      overdue: false,
+    })
+  })
+})
+
+describe("sortTasks", () => {
+  const tasks = [
+    { _id: "a", title: "banana", priority: "Low", createdAt: "2026-01-01", dueDate: "2026-03-01" },
+    { _id: "b", title: "Apple", priority: "Urgent", createdAt: "2026-01-03" },
+    { _id: "c", title: "cherry", priority: "Medium", createdAt: "2026-01-02", dueDate: "2026-02-01" },
+    { _id: "d", title: "apple", priority: "Urgent", createdAt: "2026-01-04", dueDate: "2026-02-15" },
+  ]
+  const ids = (list) => list.map((task) => task._id)
+
+  it("does not mutate the input", () => {
+    const copy = [...tasks]
+    sortTasks(tasks, { field: "title", direction: "asc" })
+    expect(tasks).toEqual(copy)
+  })
+
+  it("puts tasks without the value last in either direction", () => {
+    expect(ids(sortTasks(tasks, { field: "dueDate", direction: "asc" }))).toEqual(["c", "d", "a", "b"])
+    expect(ids(sortTasks(tasks, { field: "dueDate", direction: "desc" }))).toEqual(["a", "d", "c", "b"])
+  })
+
+  it("ranks priorities rather than sorting them alphabetically", () => {
+    expect(ids(sortTasks(tasks, { field: "priority", direction: "desc" }))).toEqual(["d", "b", "c", "a"])
+  })
+
+  it("compares titles case-insensitively and breaks ties newest first", () => {
+    expect(ids(sortTasks(tasks, { field: "title", direction: "asc" }))).toEqual(["d", "b", "a", "c"])
+  })
+})
+
+describe("stampCompletion", () => {
+  it("records completedAt when a task moves to Done", () => {
+    const changes = stampCompletion({ status: "Review" }, { status: "Done" })
+    expect(changes.status).toBe("Done")
+    expect(new Date(changes.completedAt).getTime()).toBeLessThanOrEqual(Date.now())
+  })
+
+  it("stamps new tasks created as Done", () => {
+    expect(stampCompletion({}, { title: "Old work", status: "Done" }).completedAt).toEqual(expect.any(String))
+  })
+
+  it("clears completedAt when a task is reopened", () => {
+    expect(stampCompletion({ status: "Done" }, { status: "In Progress" })).toEqual({
+      status: "In Progress",
+      completedAt: null,
+    })
+  })
+
+  it("leaves other changes alone", () => {
+    const changes = { title: "Renamed", status: "Done" }
+    expect(stampCompletion({ status: "Done" }, changes)).toBe(changes)
+    expect(stampCompletion({ status: "To Do" }, { priority: "High" })).toEqual({ priority: "High" })
+  })
+})
+
+describe("applyTaskEvent", () => {
+  const tasks = [{ _id: "1", title: "Plan", status: "To Do", employee: { _id: "u1", name: "Alice" } }]
+
+  it("merges an update and keeps the populated employee", () => {
+    const [task] = applyTaskEvent(tasks, { type: "task:updated", task: { _id: "1", status: "Done", employeeId: "u1" } })
+    expect(task).toMatchObject({ title: "Plan", status: "Done", employee: { name: "Alice" } })
+    expect(task.liveUpdatedAt).toEqual(expect.any(Number))
+  })
+
+  it("adds a task it hasn't seen when it is updated, e.g. after a reassignment", () => {
+    const updated = applyTaskEvent(tasks, { type: "task:updated", task: { _id: "2", title: "Handover", employeeId: "u1" } })
+    expect(updated.map((task) => task._id)).toEqual(["2", "1"])
+  })
+
+  it("ignores duplicate creates and removes deleted tasks", () => {
+    expect(applyTaskEvent(tasks, { type: "task:created", task: { _id: "1" } })).toBe(tasks)
+    expect(applyTaskEvent(tasks, { type: "task:deleted", taskId: "1" })).toEqual([])
+  })
+})
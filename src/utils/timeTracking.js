@@ -0,0 +1,39 @@
+// Formatting and totals for time logged against tasks. Durations are stored in whole minutes.
+
+// Longest single entry accepted from the manual form
+export const MAX_ENTRY_MINUTES = 24 * 60
+
+// e.g. 200 -> "3h 20m", 45 -> "45m", 120 -> "2h"
+export const formatDuration = (minutes) => {
+  const rounded = Math.round(minutes)
+  const hours = Math.floor(rounded / 60)
+  const mins = rounded % 60
+  if (hours === 0) return `${mins}m`
+  return mins ? `${hours}h ${mins}m` : `${hours}h`
+}
+
+// Running timer display, e.g. "1:02:03"
+export const formatElapsed = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000))
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, "0")
+  const seconds = String(totalSeconds % 60).padStart(2, "0")
+  return `${hours}:${minutes}:${seconds}`
+}
+
+// A stopped timer always logs at least a minute
+export const minutesBetween = (start, end) => Math.max(1, Math.round((end - start) / 60000))
+
+export const hoursToMinutes = (hours) => Math.round(Number(hours) * 60)
+
+export const loggedMinutes = (task) => task.loggedMinutes || 0
+
+export const estimatedMinutes = (task) => (task.estimatedHours ? hoursToMinutes(task.estimatedHours) : 0)
+
+export const isOverEstimate = (task) => estimatedMinutes(task) > 0 && loggedMinutes(task) > estimatedMinutes(task)
+
+// Apply a change in logged minutes to one task in a list
+export const withLoggedTime = (tasks, taskId, minutes) =>
+  tasks.map((task) =>
+    task._id === taskId ? { ...task, loggedMinutes: Math.max(0, loggedMinutes(task) + minutes) } : task,
+  )
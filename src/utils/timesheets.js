@@ -0,0 +1,118 @@
+import { timesheetsApi } from "../services/api"
+import { startOfWeek } from "./analytics"
+
+// Mirrors the backend Timesheet model. Submitted and approved sheets are read-only for the employee;
+// a rejected sheet goes back to them for changes.
+export const TIMESHEET_STATUS_LABELS = {
+  draft: "Draft",
+  submitted: "Awaiting approval",
+  approved: "Approved",
+  rejected: "Changes requested",
+}
+
+export const isTimesheetEditable = (timesheet) => !timesheet || ["draft", "rejected"].includes(timesheet.status)
+
+// Local calendar day as YYYY-MM-DD
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`
+
+// Inverse of toDateKey, at local midnight
+export const parseDateKey = (key) => {
+  const [year, month, day] = String(key).slice(0, 10).split("-").map(Number)
+  return new Date(year, month - 1, day)
+}
+
+// e.g. "Oct 19 – Oct 25, 2026"
+export const formatWeekRange = (weekStart) => {
+  const end = new Date(weekStart)
+  end.setDate(end.getDate() + 6)
+  const start = weekStart.toLocaleDateString("en-US", { month: "short", day: "numeric" })
+  return `${start} – ${end.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" })}`
+}
+
+// Monday..Sunday of the week starting at weekStart
+export const weekDays = (weekStart) =>
+  Array.from({ length: 7 }, (_, i) => {
+    const day = new Date(weekStart)
+    day.setDate(day.getDate() + i)
+    return day
+  })
+
+export const shiftWeek = (weekStart, weeks) => {
+  const shifted = new Date(weekStart)
+  shifted.setDate(shifted.getDate() + weeks * 7)
+  return startOfWeek(shifted)
+}
+
+// Monday of the week a YYYY-MM-DD day falls in, which is the key its timesheet is stored under
+export const weekKeyFor = (dateKey) => toDateKey(startOfWeek(parseDateKey(dateKey)))
+
+// True when the signed-in employee's timesheet for the week containing dateKey is submitted or
+// approved, so the backend will refuse time entry changes in it. Resolves false when the status
+// can't be loaded and leaves the decision to the backend.
+export const isWeekLocked = async (dateKey) => {
+  try {
+    return !isTimesheetEditable(await timesheetsApi.getMine(weekKeyFor(dateKey)))
+  } catch (err) {
+    return false
+  }
+}
+
+// Manual entries are stored against a calendar day; timer entries fall on the local day they started
+export const entryDateKey = (entry) => {
+  if (entry.manual && entry.date) return String(entry.date).slice(0, 10)
+  return toDateKey(new Date(entry.startedAt || entry.date || entry.createdAt))
+}
+
+// Rows of tasks × days, in minutes, for the entries of one week. Entries carry task: { _id, title }.
+export const buildTimesheetGrid = (entries, weekStart) => {
+  const dayKeys = weekDays(weekStart).map(toDateKey)
+  const rows = {}
+
+  entries.forEach((entry) => {
+    const dayIndex = dayKeys.indexOf(entryDateKey(entry))
+    if (dayIndex === -1 || !entry.task) return
+
+    const row = (rows[entry.task._id] = rows[entry.task._id] || {
+      taskId: entry.task._id,
+      title: entry.task.title,
+      days: dayKeys.map(() => 0),
+      entries: dayKeys.map(() => []),
+      total: 0,
+    })
+    row.days[dayIndex] += entry.minutes
+    row.entries[dayIndex].push(entry)
+    row.total += entry.minutes
+  })
+
+  const sortedRows = Object.values(rows).sort((a, b) => a.title.localeCompare(b.title))
+  return {
+    rows: sortedRows,
+    dayTotals: dayKeys.map((_, i) => sortedRows.reduce((sum, row) => sum + row.days[i], 0)),
+    total: sortedRows.reduce((sum, row) => sum + row.total, 0),
+  }
+}
+
+// Requests that turn one cell's entries into newMinutes. Extra time becomes a manual entry;
+// less time is taken from the most recent entries first, removing those that reach zero.
+export const planCellChange = (cellEntries, newMinutes) => {
+  const current = cellEntries.reduce((sum, entry) => sum + entry.minutes, 0)
+  let difference = newMinutes - current
+  if (difference > 0) return [{ type: "create", minutes: difference }]
+
+  const operations = []
+  const newestFirst = [...cellEntries].sort(
+    (a, b) => new Date(b.startedAt || b.createdAt) - new Date(a.startedAt || a.createdAt),
+  )
+  for (const entry of newestFirst) {
+    if (difference === 0) break
+    if (entry.minutes + difference > 0) {
+      operations.push({ type: "update", entry, minutes: entry.minutes + difference })
+      difference = 0
+    } else {
+      operations.push({ type: "remove", entry })
+      difference += entry.minutes
+    }
+  }
+  return operations
+}
@@ -0,0 +1,102 @@
+import { timesheetsApi } from "../services/api"
+import { buildTimesheetGrid, planCellChange, entryDateKey, weekKeyFor, isWeekLocked, parseDateKey } from "./timesheets"
+
+jest.mock("../services/api", () => ({ timesheetsApi: { getMine: jest.fn() } }))
+
+// Monday, so weekDays runs Oct 19 to Oct 25
+const weekStart = parseDateKey("2026-10-19")
+
+const report = { _id: "t1", title: "Report" }
+const audit = { _id: "t2", title: "Audit" }
+
+describe("buildTimesheetGrid", () => {
+  it("sums minutes per task and day, sorted by title", () => {
+    const entries = [
+      { _id: "e1", task: report, minutes: 60, manual: true, date: "2026-10-19" },
+      { _id: "e2", task: report, minutes: 30, manual: true, date: "2026-10-19T00:00:00.000Z" },
+      { _id: "e3", task: audit, minutes: 45, startedAt: new Date(2026, 9, 21, 9).toISOString() },
+      { _id: "e4", task: report, minutes: 15, manual: true, date: "2026-10-25" },
+    ]
+    const grid = buildTimesheetGrid(entries, weekStart)
+
+    expect(grid.rows.map((row) => row.title)).toEqual(["Audit", "Report"])
+    expect(grid.rows[1].days).toEqual([90, 0, 0, 0, 0, 0, 15])
+    expect(grid.rows[1].entries[0].map((entry) => entry._id)).toEqual(["e1", "e2"])
+    expect(grid.rows[0].days[2]).toBe(45)
+    expect(grid.dayTotals).toEqual([90, 0, 45, 0, 0, 0, 15])
+    expect(grid.total).toBe(150)
+  })
+
+  it("leaves out entries from other weeks and entries without a task", () => {
+    const entries = [
+      { _id: "e1", task: report, minutes: 60, manual: true, date: "2026-10-18" },
+      { _id: "e2", task: report, minutes: 60, manual: true, date: "2026-10-26" },
+      { _id: "e3", task: null, minutes: 60, manual: true, date: "2026-10-20" },
+    ]
+    expect(buildTimesheetGrid(entries, weekStart)).toEqual({ rows: [], dayTotals: [0, 0, 0, 0, 0, 0, 0], total: 0 })
+  })
+})
+
+describe("planCellChange", () => {
+  const older = { _id: "e1", minutes: 60, startedAt: "2026-10-19T08:00:00.000Z" }
+  const newer = { _id: "e2", minutes: 30, startedAt: "2026-10-19T14:00:00.000Z" }
+
+  it("adds extra time as a new entry", () => {
+    expect(planCellChange([older], 90)).toEqual([{ type: "create", minutes: 30 }])
+    expect(planCellChange([], 45)).toEqual([{ type: "create", minutes: 45 }])
+  })
+
+  it("takes time off the most recent entry first", () => {
+    expect(planCellChange([older, newer], 80)).toEqual([{ type: "update", entry: newer, minutes: 20 }])
+  })
+
+  it("removes entries that reach zero and shortens the next one", () => {
+    expect(planCellChange([older, newer], 40)).toEqual([
+      { type: "remove", entry: newer },
+      { type: "update", entry: older, minutes: 40 },
+    ])
+    expect(planCellChange([older, newer], 0)).toEqual([
+      { type: "remove", entry: newer },
+      { type: "remove", entry: older },
+    ])
+  })
+
+  it("does nothing when the total is unchanged", () => {
+    expect(planCellChange([older, newer], 90)).toEqual([])
+  })
+})
+
+describe("entryDateKey", () => {
+  it("uses the stored day for manual entries and the local start day for timer entries", () => {
+    expect(entryDateKey({ manual: true, date: "2026-10-19T00:00:00.000Z" })).toBe("2026-10-19")
+    expect(entryDateKey({ startedAt: new Date(2026, 9, 20, 23, 30).toISOString() })).toBe("2026-10-20")
+  })
+})
+
+describe("weekKeyFor", () => {
+  it("returns the Monday of the week", () => {
+    expect(weekKeyFor("2026-10-19")).toBe("2026-10-19")
+    expect(weekKeyFor("2026-10-25")).toBe("2026-10-19")
+    expect(weekKeyFor("2026-11-01")).toBe("2026-10-26")
+  })
+})
+
+describe("isWeekLocked", () => {
+  it("is true for submitted and approved weeks only", async () => {
+    timesheetsApi.getMine.mockResolvedValueOnce({ status: "submitted" })
+    expect(await isWeekLocked("2026-10-22")).toBe(true)
+    expect(timesheetsApi.getMine).toHaveBeenLastCalledWith("2026-10-19")
+
+    timesheetsApi.getMine.mockResolvedValueOnce({ status: "approved" })
+    expect(await isWeekLocked("2026-10-22")).toBe(true)
+    timesheetsApi.getMine.mockResolvedValueOnce({ status: "rejected" })
+    expect(await isWeekLocked("2026-10-22")).toBe(false)
+    timesheetsApi.getMine.mockResolvedValueOnce(null)
+    expect(await isWeekLocked("2026-10-22")).toBe(false)
+  })
+
+  it("leaves the decision to the backend when the timesheet can't be loaded", async () => {
+    timesheetsApi.getMine.mockRejectedValueOnce(new Error("Server Error"))
+    expect(await isWeekLocked("2026-10-22")).toBe(false)
+  })
+})